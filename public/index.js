@@ -8,7 +8,8 @@ const charCount = document.getElementById('charCount');
 const submitBtn = document.getElementById('submitBtn');
 const resultsContainer = document.getElementById('results');
 const selectAllBtn = document.getElementById('selectAllBtn');
-const platformCheckboxes = document.querySelectorAll('input[name="platforms"]');
+const platformsRow = document.getElementById('platformsRow');
+const platformOptionsSection = document.getElementById('platformOptions');
 const themeToggle = document.getElementById('themeToggle');
 const logoutBtn = document.getElementById('logoutBtn');
 
@@ -26,11 +27,15 @@ const openSettingsBtn = document.getElementById('openSettings');
 const closeSettingsBtn = document.getElementById('closeSettings');
 const cancelSettingsBtn = document.getElementById('cancelSettings');
 const settingsForm = document.getElementById('settingsForm');
+const settingsGroups = document.getElementById('settingsGroups');
 
 // State
 let selectedFiles = [];
+let mediaMeta = []; // Alt text and focal point per selected file
 let allSelected = false;
 let currentUser = null;
+let platformRegistry = [];
+let accountBlockCount = 0; // Unique id prefix per settings account block
 
 // ======================
 // Initialize
@@ -45,10 +50,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
 
+    await loadPlatforms();
     checkStatus();
     loadSettings();
     setupEventListeners();
     loadScheduledPosts();
+    handleConnectReturn();
 });
 
 // ======================
@@ -83,6 +90,608 @@ async function handleLogout() {
     }
 }
 
+// ======================
+// Platform Registry
+// ======================
+async function loadPlatforms() {
+    try {
+        const response = await fetch('/api/platforms');
+        const data = await response.json();
+
+        platformRegistry = data.platforms || [];
+        renderPlatformChips();
+        renderPlatformOptions();
+        renderSettingsGroups();
+    } catch (error) {
+        console.error('Failed to load platforms:', error);
+    }
+}
+
+function getPlatformCheckboxes() {
+    return document.querySelectorAll('input[name="accounts"]');
+}
+
+function renderPlatformChips() {
+    // Keep the selection when chips are re-rendered after saving settings
+    const selected = getSelectedAccounts();
+
+    const chips = platformRegistry.flatMap(platform => (platform.accounts || []).map(account => `
+        <label class="platform-chip" data-account="${account.id}" data-platform="${platform.id}"
+          title="${escapeHtml(account.label)}" style="--platform-color: ${platform.color};">
+          <input type="checkbox" name="accounts" value="${account.id}" data-platform="${platform.id}"
+            ${selected.includes(account.id) ? 'checked' : ''}>
+          <div class="chip-icon">
+            <svg viewBox="0 0 24 24" fill="currentColor"><path d="${platform.icon}" /></svg>
+          </div>
+          <span class="chip-label">${escapeHtml(account.label)}</span>
+          <div class="chip-check">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+              <polyline points="20 6 9 17 4 12" />
+            </svg>
+          </div>
+        </label>
+    `));
+
+    platformsRow.innerHTML = chips.join('')
+        || '<p class="platforms-empty">Connect an account in Settings to start posting</p>';
+
+    getPlatformCheckboxes().forEach(checkbox => {
+        checkbox.addEventListener('change', updateSelectAllState);
+        checkbox.addEventListener('change', updatePlatformOptions);
+    });
+    updateSelectAllState();
+}
+
+function renderField(key, field) {
+    const label = escapeHtml(field.label);
+
+    if (field.type === 'list') {
+        // Rows are added by addListRow; inputs have no name so FormData skips them
+        return `
+            <div class="field list-field">
+              <label>${label}</label>
+              <div class="list-rows" id="${key}" data-field="${escapeHtml(field.name)}"></div>
+              <button type="button" class="list-add-btn" data-list="${key}">+ Add</button>
+            </div>
+        `;
+    }
+
+    if (field.type === 'checkbox') {
+        return `
+            <div class="field field-checkbox">
+              <label>
+                <input type="checkbox" id="${key}" name="${key}" value="true">
+                <span>${label}</span>
+              </label>
+            </div>
+        `;
+    }
+
+    if (field.type === 'multiselect') {
+        const choices = field.options.map(option => `
+            <label class="multiselect-choice">
+              <input type="checkbox" name="${key}" value="${escapeHtml(option.value)}">
+              <span>${escapeHtml(option.label)}</span>
+            </label>
+        `).join('');
+        return `
+            <div class="field">
+              <label>${label}</label>
+              <div class="multiselect" id="${key}">
+                ${choices || '<span class="multiselect-empty">Nothing configured yet</span>'}
+              </div>
+            </div>
+        `;
+    }
+
+    if (field.type === 'select') {
+        const options = field.options.map(option =>
+            `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`
+        ).join('');
+        return `
+            <div class="field">
+              <label for="${key}">${label}</label>
+              <select id="${key}" name="${key}">${options}</select>
+            </div>
+        `;
+    }
+
+    if (field.type === 'password') {
+        // Write-only: a saved secret is only hinted at in the placeholder
+        return `
+            <div class="field">
+              <label for="${key}">${label}</label>
+              <div class="secret-input">
+                <input type="password" id="${key}" name="${key}" autocomplete="off"
+                  placeholder="${escapeHtml(field.placeholder || '')}">
+                <button type="button" class="list-remove-btn clear-secret-btn" data-secret="${key}" hidden>Clear</button>
+              </div>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="field">
+          <label for="${key}">${label}</label>
+          <input type="text" id="${key}" name="${key}"
+            placeholder="${escapeHtml(field.placeholder || '')}">
+        </div>
+    `;
+}
+
+function renderPlatformOptions() {
+    // One group per account (choices such as Telegram chats are the account's own),
+    // rendered once and shown/hidden with the account selection
+    platformOptionsSection.innerHTML = platformRegistry
+        .flatMap(platform => (platform.accounts || [])
+            .filter(account => account.postOptions && account.postOptions.length > 0)
+            .map(account => `
+                <div class="platform-options-group" data-account="${account.id}"
+                  style="--platform-color: ${platform.color}; display: none;">
+                  <h4>${escapeHtml(account.label)}</h4>
+                  ${account.postOptions.map(option => renderField(`option_${account.id}_${option.name}`, option)).join('')}
+                </div>
+            `))
+        .join('');
+}
+
+function updatePlatformOptions() {
+    const selected = getSelectedAccounts();
+    let anyVisible = false;
+
+    platformOptionsSection.querySelectorAll('.platform-options-group').forEach(group => {
+        const visible = selected.includes(group.dataset.account);
+        group.style.display = visible ? 'flex' : 'none';
+        anyVisible = anyVisible || visible;
+    });
+
+    platformOptionsSection.style.display = anyVisible ? 'flex' : 'none';
+}
+
+function collectPostOptions() {
+    const selected = getSelectedAccounts();
+    const options = {};
+
+    platformRegistry.flatMap(platform => platform.accounts || []).forEach(account => {
+        if (!selected.includes(account.id) || !account.postOptions) return;
+
+        options[account.id] = {};
+        account.postOptions.forEach(option => {
+            if (option.type === 'multiselect') {
+                const values = Array.from(document.querySelectorAll(
+                    `input[name="option_${account.id}_${option.name}"]:checked`
+                )).map(input => input.value);
+                if (values.length > 0) {
+                    options[account.id][option.name] = values;
+                }
+                return;
+            }
+
+            const input = document.getElementById(`option_${account.id}_${option.name}`);
+            if (input && input.type === 'checkbox') {
+                if (input.checked) options[account.id][option.name] = true;
+            } else if (input && input.value) {
+                options[account.id][option.name] = input.value;
+            }
+        });
+    });
+
+    return options;
+}
+
+function resetPostOptions() {
+    platformOptionsSection.querySelectorAll('input, select').forEach(input => {
+        if (input.tagName === 'SELECT') {
+            input.selectedIndex = 0;
+        } else if (input.type === 'checkbox') {
+            input.checked = false;
+        } else {
+            input.value = '';
+        }
+    });
+}
+
+function getSelectedAccounts() {
+    return Array.from(document.querySelectorAll('input[name="accounts"]:checked')).map(input => input.value);
+}
+
+function renderSettingsGroups() {
+    settingsGroups.innerHTML = platformRegistry.map(platform => `
+        <div class="settings-group" data-platform="${platform.id}" style="--platform-color: ${platform.color};">
+          <div class="settings-group-header">
+            <div class="platform-icon-small">
+              <svg viewBox="0 0 24 24" fill="currentColor"><path d="${platform.icon}" /></svg>
+            </div>
+            <h3>${escapeHtml(platform.name)}</h3>
+            ${platform.connect ? `
+              <a class="connect-btn" href="/api/connect/${platform.connect.provider}">${escapeHtml(platform.connect.label)}</a>
+            ` : ''}
+          </div>
+          <div class="account-list"></div>
+          <button type="button" class="list-add-btn add-account-btn">+ Add account</button>
+        </div>
+    `).join('');
+
+    settingsGroups.querySelectorAll('.add-account-btn').forEach(btn => {
+        btn.addEventListener('click', () => addAccountBlock(btn.closest('.settings-group').dataset.platform));
+    });
+}
+
+function getAccountFieldKey(block, field) {
+    return `${block.dataset.prefix}_${field.name}`;
+}
+
+function addAccountBlock(platformId, account = null) {
+    const platform = platformRegistry.find(p => p.id === platformId);
+    const list = settingsGroups.querySelector(`.settings-group[data-platform="${platformId}"] .account-list`);
+    if (!platform || !list) return null;
+
+    const block = document.createElement('div');
+    block.className = 'account-block';
+    block.dataset.platform = platform.id;
+    block.dataset.account = account?.id || '';
+    block.dataset.prefix = `account${++accountBlockCount}`;
+
+    // OAuth accounts reconnect in place; Meta matches the Page again
+    const reconnectUrl = platform.connect && account
+        ? `/api/connect/${platform.connect.provider}${platform.connect.provider === 'meta' ? '' : `?account=${account.id}`}`
+        : null;
+
+    block.innerHTML = `
+        <div class="account-header">
+          <input type="text" class="account-label" placeholder="Label, e.g. ${escapeHtml(platform.name)} main"
+            aria-label="Account label" value="${escapeHtml(account?.label || '')}">
+          ${reconnectUrl ? `<a class="connect-btn reconnect-btn needs-reconnect" href="${reconnectUrl}" hidden>Reconnect</a>` : ''}
+          ${platform.testable && account ? `
+            <button type="button" class="connect-btn test-btn" data-account="${account.id}" title="Checks the saved credentials">Test connection</button>
+          ` : ''}
+          <button type="button" class="list-remove-btn remove-account-btn" title="Remove account">×</button>
+        </div>
+        ${account?.locked ? `
+          <div class="health-status error">
+            ✗ The saved credentials can't be decrypted (the encryption key changed or is missing). Enter them again and save.
+          </div>
+        ` : ''}
+        <div class="health-status" data-account="${account?.id || ''}" hidden></div>
+        <div class="settings-fields">
+          ${platform.fields.map(field => renderField(getAccountFieldKey(block, field), field)).join('')}
+        </div>
+    `;
+    list.appendChild(block);
+
+    block.querySelectorAll('.list-add-btn').forEach(btn => {
+        btn.addEventListener('click', () => addListRow(btn.dataset.list));
+    });
+    block.querySelector('.test-btn')?.addEventListener('click', e => testConnection(e.currentTarget));
+    block.querySelector('.remove-account-btn').addEventListener('click', () => removeAccount(block));
+    block.querySelectorAll('.clear-secret-btn').forEach(btn => {
+        btn.addEventListener('click', () => toggleClearSecret(btn));
+    });
+
+    // Populate form fields
+    platform.fields.forEach(field => {
+        const key = getAccountFieldKey(block, field);
+        const input = document.getElementById(key);
+        const value = account?.settings[field.name];
+        if (input && field.type === 'list') {
+            (value || []).forEach(row => addListRow(key, row));
+        } else if (input && field.type === 'password') {
+            showSavedSecret(input, value);
+        } else if (input && input.type === 'checkbox') {
+            input.checked = value === 'true';
+        } else if (input && value) {
+            input.value = value;
+        }
+    });
+
+    return block;
+}
+
+function showSavedSecret(input, secret) {
+    if (!secret?.set) return;
+
+    input.placeholder = secret.last4 ? `Saved (ends in ${secret.last4}), type to replace` : 'Saved, type to replace';
+    input.dataset.savedPlaceholder = input.placeholder;
+    input.closest('.secret-input').querySelector('.clear-secret-btn').hidden = false;
+
+    // Typing a new value replaces the secret instead of clearing it
+    input.addEventListener('input', () => {
+        if (input.dataset.clear) {
+            toggleClearSecret(input.closest('.secret-input').querySelector('.clear-secret-btn'));
+        }
+    });
+}
+
+function toggleClearSecret(btn) {
+    const input = document.getElementById(btn.dataset.secret);
+    const clearing = !input.dataset.clear;
+
+    if (clearing) {
+        input.dataset.clear = 'true';
+        input.value = '';
+        input.placeholder = 'Will be cleared when you save';
+    } else {
+        delete input.dataset.clear;
+        input.placeholder = input.dataset.savedPlaceholder;
+    }
+
+    btn.textContent = clearing ? 'Undo' : 'Clear';
+    btn.classList.toggle('active', clearing);
+}
+
+async function removeAccount(block) {
+    const accountId = block.dataset.account;
+
+    // Unsaved blocks just go away
+    if (!accountId) {
+        block.remove();
+        return;
+    }
+
+    const label = block.querySelector('.account-label').value || 'this account';
+    if (!confirm(`Remove ${label}? Its saved credentials will be deleted.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/settings/accounts/${accountId}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (data.success) {
+            block.remove();
+            showNotification('Account removed', 'success');
+            refreshPlatformOptions();
+            checkStatus();
+        } else {
+            showNotification(data.error || 'Failed to remove account', 'error');
+        }
+    } catch (error) {
+        showNotification('Failed to remove account: ' + error.message, 'error');
+    }
+}
+
+function getListField(container) {
+    const platformId = container.closest('[data-platform]')?.dataset.platform;
+    const platform = platformRegistry.find(p => p.id === platformId);
+    return platform?.fields.find(f => f.type === 'list' && f.name === container.dataset.field) || null;
+}
+
+function addListRow(key, row = {}) {
+    const container = document.getElementById(key);
+    const field = container && getListField(container);
+    if (!field) return;
+
+    const rowEl = document.createElement('div');
+    rowEl.className = 'list-row';
+
+    field.columns.forEach(column => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.dataset.column = column.name;
+        input.placeholder = column.placeholder || column.label;
+        input.setAttribute('aria-label', column.label);
+        input.value = row[column.name] || '';
+        rowEl.appendChild(input);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'list-remove-btn';
+    removeBtn.title = 'Remove';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => rowEl.remove());
+    rowEl.appendChild(removeBtn);
+
+    container.appendChild(rowEl);
+}
+
+function collectListRows(container) {
+    return Array.from(container.querySelectorAll('.list-row')).map(rowEl => {
+        const row = {};
+        rowEl.querySelectorAll('input[data-column]').forEach(input => {
+            row[input.dataset.column] = input.value.trim();
+        });
+        return row;
+    });
+}
+
+async function refreshPlatformOptions() {
+    // Accounts and option choices (e.g. Telegram chats) depend on saved settings
+    try {
+        const response = await fetch('/api/platforms');
+        const data = await response.json();
+
+        platformRegistry = data.platforms || platformRegistry;
+        renderPlatformChips();
+        renderPlatformOptions();
+        updatePlatformOptions();
+    } catch (error) {
+        console.error('Failed to refresh platform options:', error);
+    }
+}
+
+// ======================
+// Connect Accounts (OAuth)
+// ======================
+function handleConnectReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const provider = params.get('connect');
+    if (!provider) return;
+
+    // Drop the query so a reload doesn't repeat this
+    window.history.replaceState({}, '', window.location.pathname);
+
+    if (params.get('error')) {
+        showNotification(`Connection failed: ${params.get('error')}`, 'error');
+        return;
+    }
+
+    if (provider === 'meta') {
+        openModal();
+        showMetaPagePicker();
+        return;
+    }
+
+    // TikTok and Google save their tokens straight from the callback
+    const name = platformRegistry.find(p => p.connect?.provider === provider)?.name || provider;
+    showNotification(`${name} account connected`, 'success');
+}
+
+async function showMetaPagePicker() {
+    try {
+        const response = await fetch('/api/connect/meta/accounts');
+        const data = await response.json();
+
+        if (!data.success) {
+            showNotification(data.error || 'Failed to load Facebook Pages', 'error');
+            return;
+        }
+
+        if (data.pages.length === 0) {
+            showNotification('No Facebook Pages found for this account', 'error');
+            return;
+        }
+
+        const picker = document.createElement('div');
+        picker.className = 'settings-group connect-picker';
+        picker.innerHTML = `
+            <div class="settings-group-header"><h3>Choose a Facebook Page</h3></div>
+            <div class="settings-fields">
+              <div class="field">
+                <select id="metaPageSelect">
+                  ${data.pages.map(page => `
+                    <option value="${escapeHtml(page.id)}">
+                      ${escapeHtml(page.name)}${page.instagram ? ` + Instagram @${escapeHtml(page.instagram.username || page.instagram.id)}` : ''}
+                    </option>
+                  `).join('')}
+                </select>
+              </div>
+              <div class="field field-checkbox">
+                <label>
+                  <input type="checkbox" id="metaConnectInstagram" checked>
+                  <span>Also connect the linked Instagram account</span>
+                </label>
+              </div>
+              <button type="button" class="connect-btn" id="metaSaveBtn">Save connection</button>
+              <button type="button" class="list-remove-btn" id="metaCancelBtn">Cancel</button>
+            </div>
+        `;
+
+        settingsGroups.prepend(picker);
+        picker.querySelector('#metaSaveBtn').addEventListener('click', () => saveMetaSelection(picker));
+        picker.querySelector('#metaCancelBtn').addEventListener('click', () => cancelMetaSelection(picker));
+    } catch (error) {
+        showNotification('Failed to load Facebook Pages: ' + error.message, 'error');
+    }
+}
+
+async function cancelMetaSelection(picker) {
+    picker.remove();
+
+    try {
+        await fetch('/api/connect/meta/pending', { method: 'DELETE' });
+    } catch (error) {
+        console.error('Failed to discard Facebook Pages:', error);
+    }
+}
+
+async function saveMetaSelection(picker) {
+    try {
+        const response = await fetch('/api/connect/meta/select', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                pageId: picker.querySelector('#metaPageSelect').value,
+                connectInstagram: picker.querySelector('#metaConnectInstagram').checked,
+            }),
+        });
+        const data = await response.json();
+
+        // The Pages are only offered once, whatever the outcome
+        picker.remove();
+
+        if (data.success) {
+            showNotification(data.message, 'success');
+            await refreshPlatformOptions();
+            loadSettings();
+            checkStatus();
+        } else {
+            showNotification(data.error || 'Failed to save connection', 'error');
+        }
+    } catch (error) {
+        showNotification('Failed to save connection: ' + error.message, 'error');
+    }
+}
+
+// ======================
+// Connection Health
+// ======================
+function renderHealth(accountId, result) {
+    const container = settingsGroups.querySelector(`.health-status[data-account="${accountId}"]`);
+    if (!accountId || !container) return;
+
+    if (!result) {
+        container.hidden = true;
+        return;
+    }
+
+    const checked = new Date(result.checkedAt).toLocaleString();
+    const expiry = result.expiresAt
+        ? `token expires ${new Date(result.expiresAt).toLocaleString()}`
+        : 'token does not expire';
+    const details = (result.destinations || []).map(entry => `
+        <li class="${entry.success ? 'success' : 'error'}">
+          ${entry.success ? '✓' : '✗'} ${escapeHtml(entry.name)}${entry.success ? '' : ` — ${escapeHtml(entry.error)}`}
+        </li>
+      `).join('');
+
+    container.className = `health-status ${result.valid ? 'success' : 'error'}`;
+    container.innerHTML = result.valid || result.account ? `
+        <div>${result.valid ? '✓' : '✗'} ${escapeHtml(result.account || '')} · ${expiry} · checked ${escapeHtml(checked)}</div>
+        ${result.permissions ? `<div>Permissions: ${escapeHtml(result.permissions.join(', ') || 'none')}</div>` : ''}
+        ${result.warning ? `<div class="health-warning">${escapeHtml(result.warning)}</div>` : ''}
+        ${result.error ? `<div class="health-warning">${escapeHtml(result.error)}</div>` : ''}
+        ${details ? `<ul class="result-details">${details}</ul>` : ''}
+    ` : `
+        <div>✗ ${escapeHtml(result.error)} · checked ${escapeHtml(checked)}</div>
+    `;
+    container.hidden = false;
+}
+
+async function loadHealth() {
+    try {
+        const response = await fetch('/api/settings/health');
+        const data = await response.json();
+
+        if (data.success) {
+            Object.entries(data.health).forEach(([accountId, result]) => renderHealth(accountId, result));
+        }
+    } catch (error) {
+        console.error('Failed to load connection health:', error);
+    }
+}
+
+async function testConnection(btn) {
+    btn.disabled = true;
+    btn.textContent = 'Testing...';
+
+    try {
+        const response = await fetch(`/api/settings/accounts/${btn.dataset.account}/test`, { method: 'POST' });
+        const data = await response.json();
+
+        if (data.success) {
+            renderHealth(btn.dataset.account, data.result);
+        } else {
+            showNotification(data.error || 'Connection test failed', 'error');
+        }
+    } catch (error) {
+        showNotification('Connection test failed: ' + error.message, 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Test connection';
+    }
+}
+
 // ======================
 // Theme Management
 // ======================
@@ -99,19 +708,36 @@ function toggleTheme() {
 }
 
 // ======================
-// Check platform status
+// Check account status
 // ======================
 async function checkStatus() {
     try {
         const response = await fetch('/api/post/status');
         const status = await response.json();
 
-        // Update platform chip states based on configuration
-        Object.keys(status).forEach(platform => {
-            const chip = document.querySelector(`.platform-chip[data-platform="${platform}"]`);
-            if (chip && !status[platform].configured) {
+        // Update account chip states based on configuration
+        Object.keys(status).forEach(accountId => {
+            const chip = document.querySelector(`.platform-chip[data-account="${accountId}"]`);
+            const { label, configured, locked, needsReconnect: reconnectReason } = status[accountId];
+            if (chip && locked) {
+                chip.classList.add('not-configured');
+                chip.title = `${label} - Credentials need to be entered again`;
+            } else if (chip && !configured) {
+                chip.classList.add('not-configured');
+                chip.title = `${label} - Setup needed`;
+            } else if (chip && reconnectReason) {
                 chip.classList.add('not-configured');
-                chip.title = `${platform.charAt(0).toUpperCase() + platform.slice(1)} - Setup needed`;
+                chip.title = reconnectReason;
+            } else if (chip) {
+                chip.classList.remove('not-configured');
+                chip.title = label;
+            }
+
+            // Offer to reconnect in settings when a token refresh was rejected
+            const reconnectBtn = settingsGroups.querySelector(`.account-block[data-account="${accountId}"] .reconnect-btn`);
+            if (reconnectBtn) {
+                reconnectBtn.hidden = !reconnectReason;
+                reconnectBtn.title = reconnectReason || '';
             }
         });
     } catch (error) {
@@ -125,36 +751,79 @@ async function checkStatus() {
 async function loadSettings() {
     try {
         const response = await fetch('/api/settings');
-        const settings = await response.json();
+        const { accounts = [] } = await response.json();
+
+        settingsGroups.querySelectorAll('.account-list').forEach(list => {
+            list.innerHTML = '';
+        });
+        accounts.forEach(account => addAccountBlock(account.platform, account));
 
-        // Populate form fields
-        Object.keys(settings).forEach(key => {
-            const input = document.getElementById(key);
-            if (input && settings[key]) {
-                input.value = settings[key];
+        // Platforms without accounts start with an empty form
+        platformRegistry.forEach(platform => {
+            if (!accounts.some(account => account.platform === platform.id)) {
+                addAccountBlock(platform.id);
             }
         });
+
+        // Stored check results for the freshly rendered blocks
+        if (settingsModal.classList.contains('active')) {
+            loadHealth();
+        }
     } catch (error) {
         console.error('Failed to load settings:', error);
     }
 }
 
-async function saveSettings(formData) {
-    try {
+function collectAccounts() {
+    return Array.from(settingsGroups.querySelectorAll('.account-block')).map(block => {
+        const platform = platformRegistry.find(p => p.id === block.dataset.platform);
         const settings = {};
-        formData.forEach((value, key) => {
-            if (value) settings[key] = value;
+        const clear = [];
+
+        platform.fields.forEach(field => {
+            const input = document.getElementById(getAccountFieldKey(block, field));
+            if (!input) return;
+
+            // Secrets left empty keep their saved value
+            if (field.type === 'password') {
+                if (input.dataset.clear) {
+                    clear.push(field.name);
+                } else if (input.value.trim()) {
+                    settings[field.name] = input.value.trim();
+                }
+            } else if (field.type === 'list') {
+                // List fields are always sent so removed rows are saved too
+                settings[field.name] = collectListRows(input);
+            } else if (input.type === 'checkbox') {
+                settings[field.name] = input.checked ? 'true' : '';
+            } else {
+                settings[field.name] = input.value.trim();
+            }
         });
 
+        return {
+            id: block.dataset.account || undefined,
+            platform: platform.id,
+            label: block.querySelector('.account-label').value.trim(),
+            settings,
+            clear,
+        };
+    });
+}
+
+async function saveSettings() {
+    try {
         const response = await fetch('/api/settings', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(settings),
+            body: JSON.stringify({ accounts: collectAccounts() }),
         });
 
         if (response.ok) {
             showNotification('Settings saved successfully!', 'success');
             closeModal();
+            await refreshPlatformOptions();
+            loadSettings();
             checkStatus();
         } else {
             const data = await response.json();
@@ -211,9 +880,6 @@ function setupEventListeners() {
 
     // Select All button
     selectAllBtn.addEventListener('click', handleSelectAll);
-    platformCheckboxes.forEach(checkbox => {
-        checkbox.addEventListener('change', updateSelectAllState);
-    });
 
     // Settings modal
     openSettingsBtn.addEventListener('click', openModal);
@@ -226,8 +892,7 @@ function setupEventListeners() {
     // Settings form submission
     settingsForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        const formData = new FormData(settingsForm);
-        saveSettings(formData);
+        saveSettings();
     });
 
     // Close modal with Escape key
@@ -253,14 +918,16 @@ function setupEventListeners() {
 // ======================
 function handleSelectAll() {
     allSelected = !allSelected;
-    platformCheckboxes.forEach(checkbox => {
+    getPlatformCheckboxes().forEach(checkbox => {
         checkbox.checked = allSelected;
     });
     updateSelectAllState();
+    updatePlatformOptions();
 }
 
 function updateSelectAllState() {
-    const allChecked = Array.from(platformCheckboxes).every(cb => cb.checked);
+    const checkboxes = Array.from(getPlatformCheckboxes());
+    const allChecked = checkboxes.length > 0 && checkboxes.every(cb => cb.checked);
     allSelected = allChecked;
     selectAllBtn.classList.toggle('active', allChecked);
 }
@@ -271,6 +938,7 @@ function updateSelectAllState() {
 function openModal() {
     settingsModal.classList.add('active');
     document.body.style.overflow = 'hidden';
+    loadHealth();
 }
 
 function closeModal() {
@@ -301,38 +969,24 @@ function addFiles(newFiles) {
         return;
     }
 
-    // Check for mixed media
-    const hasExistingImages = selectedFiles.some(f => f.type.startsWith('image/'));
-    const hasExistingVideos = selectedFiles.some(f => f.type.startsWith('video/'));
-    const hasNewImages = validFiles.some(f => f.type.startsWith('image/'));
-    const hasNewVideos = validFiles.some(f => f.type.startsWith('video/'));
-
-    if ((hasExistingImages && hasNewVideos) || (hasExistingVideos && hasNewImages) ||
-        (hasNewImages && hasNewVideos)) {
-        showNotification('Cannot mix photos and videos in the same post', 'error');
-        return;
-    }
-
-    // Check video limit
-    if (hasNewVideos && (validFiles.length > 1 || selectedFiles.length > 0)) {
-        showNotification('Only one video per post is allowed', 'error');
-        return;
-    }
-
-    // Check photo limit
-    const totalPhotos = selectedFiles.length + validFiles.length;
-    if (hasNewImages && totalPhotos > 10) {
-        showNotification('Maximum 10 photos allowed', 'error');
+    // Photos and videos can be mixed; each platform checks its own limits
+    // (the server caps a post at the largest album any platform accepts)
+    const maxFiles = Math.max(1, ...platformRegistry.map(platform => platform.limits?.maxPhotos || 1));
+    const totalFiles = selectedFiles.length + validFiles.length;
+    if (totalFiles > maxFiles) {
+        showNotification(`Maximum ${maxFiles} files allowed per post`, 'error');
         return;
     }
 
     // Add files
     selectedFiles = [...selectedFiles, ...validFiles];
+    mediaMeta = [...mediaMeta, ...validFiles.map(() => ({}))];
     updatePreview();
 }
 
 function removeFile(index) {
     selectedFiles.splice(index, 1);
+    mediaMeta.splice(index, 1);
     updatePreview();
 }
 
@@ -341,13 +995,24 @@ function updatePreview() {
 
     selectedFiles.forEach((file, index) => {
         const item = document.createElement('div');
-        item.className = `preview-item ${file.type.startsWith('video/') ? 'video' : ''}`;
+        const meta = mediaMeta[index] || {};
+        item.className = `preview-item ${file.type.startsWith('video/') ? 'video' : ''} ${meta.altText ? 'has-alt' : ''}`;
 
         if (file.type.startsWith('image/')) {
             const img = document.createElement('img');
             img.src = URL.createObjectURL(file);
-            img.alt = file.name;
+            img.alt = meta.altText || file.name;
+            img.title = 'Click to set the focal point';
+            img.onclick = (e) => setFocusPoint(e, index);
             item.appendChild(img);
+
+            if (meta.focus) {
+                const marker = document.createElement('span');
+                marker.className = 'focus-marker';
+                marker.style.left = `${(meta.focus.x + 1) / 2 * 100}%`;
+                marker.style.top = `${(1 - meta.focus.y) / 2 * 100}%`;
+                item.appendChild(marker);
+            }
         } else {
             const video = document.createElement('video');
             video.src = URL.createObjectURL(file);
@@ -365,28 +1030,58 @@ function updatePreview() {
         };
         item.appendChild(removeBtn);
 
+        const altBtn = document.createElement('button');
+        altBtn.type = 'button';
+        altBtn.className = 'alt-btn';
+        altBtn.textContent = 'ALT';
+        altBtn.title = meta.altText || 'Add a description for screen readers';
+        altBtn.onclick = (e) => {
+            e.stopPropagation();
+            editAltText(index);
+        };
+        item.appendChild(altBtn);
+
         previewGrid.appendChild(item);
     });
 }
 
+function editAltText(index) {
+    const current = mediaMeta[index].altText || '';
+    const altText = prompt('Describe this media for people who can\'t see it:', current);
+    if (altText === null) return;
+
+    mediaMeta[index].altText = altText.trim();
+    updatePreview();
+}
+
+function setFocusPoint(e, index) {
+    e.stopPropagation();
+    const rect = e.target.getBoundingClientRect();
+
+    // Focal point in [-1, 1] with y pointing up (Mastodon convention)
+    const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    const y = 1 - ((e.clientY - rect.top) / rect.height) * 2;
+    mediaMeta[index].focus = { x: Number(x.toFixed(2)), y: Number(y.toFixed(2)) };
+    updatePreview();
+}
+
 // ======================
 // Form Submission
 // ======================
 async function handleSubmit(e) {
     e.preventDefault();
 
-    // Validate files
-    if (selectedFiles.length === 0) {
-        showNotification('Please select at least one photo or video', 'error');
+    // Text-only posts are allowed, empty ones are not
+    if (selectedFiles.length === 0 && !captionInput.value.trim()) {
+        showNotification('Add a caption or at least one photo or video', 'error');
         return;
     }
 
-    // Get selected platforms
-    const platformInputs = document.querySelectorAll('input[name="platforms"]:checked');
-    const platforms = Array.from(platformInputs).map(input => input.value);
+    // Get selected accounts
+    const accounts = getSelectedAccounts();
 
-    if (platforms.length === 0) {
-        showNotification('Please select at least one platform', 'error');
+    if (accounts.length === 0) {
+        showNotification('Please select at least one account', 'error');
         return;
     }
 
@@ -419,8 +1114,10 @@ async function handleSubmit(e) {
             formData.append('media', file);
         });
 
-        formData.append('platforms', JSON.stringify(platforms));
+        formData.append('accounts', JSON.stringify(accounts));
         formData.append('caption', captionInput.value);
+        formData.append('media_meta', JSON.stringify(mediaMeta));
+        formData.append('options', JSON.stringify(collectPostOptions()));
 
         // Determine endpoint
         let endpoint = '/api/post';
@@ -478,7 +1175,9 @@ function clearResults() {
 
 function clearForm() {
     selectedFiles = [];
+    mediaMeta = [];
     updatePreview();
+    resetPostOptions();
     captionInput.value = '';
     charCount.textContent = '0';
 
@@ -498,11 +1197,23 @@ function showResults(results) {
         const item = document.createElement('div');
         item.className = `result-item ${result.success ? 'success' : 'error'}`;
 
+        // Per-destination or per-item outcomes (e.g. each Telegram chat or Instagram story)
+        const entries = [...(result.destinations || result.items || [])];
+        if (result.firstComment) {
+            entries.push({ name: 'First comment', ...result.firstComment });
+        }
+        const details = entries.map(entry => `
+        <li class="${entry.success ? 'success' : 'error'}">
+          ${entry.success ? '✓' : '✗'} ${escapeHtml(entry.name)}${entry.success ? '' : ` — ${escapeHtml(entry.error)}`}
+        </li>
+      `).join('');
+
         item.innerHTML = `
       <div class="result-icon">${result.success ? '✓' : '✗'}</div>
       <div class="result-content">
-        <div class="result-platform">${result.platform || 'Unknown'}</div>
+        <div class="result-platform">${escapeHtml(result.accountLabel || result.platform || 'Unknown')}</div>
         <div class="result-message">${result.success ? result.message : result.error}</div>
+        ${details ? `<ul class="result-details">${details}</ul>` : ''}
       </div>
     `;
 
@@ -533,7 +1244,7 @@ function showNotification(message, type = 'info') {
     notification.innerHTML = `
     <div class="result-icon">${icon}</div>
     <div class="result-content">
-      <div class="result-message">${message}</div>
+      <div class="result-message">${escapeHtml(message)}</div>
     </div>
   `;
 
@@ -599,13 +1310,15 @@ function renderScheduledPosts(posts) {
     scheduledList.innerHTML = posts.map(post => {
         const scheduledDate = new Date(post.scheduled_at);
         const formattedDate = scheduledDate.toLocaleString();
-        const platformIcons = post.platforms.map(p => getPlatformIcon(p)).join('');
+        const targets = post.accounts.length > 0
+            ? post.accounts.map(getAccountBadge).join('')
+            : post.platforms.map(p => getPlatformIcon(p)).join('');
         const caption = post.caption ? post.caption.substring(0, 50) + (post.caption.length > 50 ? '...' : '') : 'No caption';
 
         return `
             <div class="scheduled-item" data-id="${post.id}">
                 <div class="scheduled-item-info">
-                    <div class="scheduled-item-platforms">${platformIcons}</div>
+                    <div class="scheduled-item-platforms">${targets}</div>
                     <div class="scheduled-item-time">${formattedDate}</div>
                     <div class="scheduled-item-caption">${escapeHtml(caption)}</div>
                 </div>
@@ -623,21 +1336,27 @@ function renderScheduledPosts(posts) {
     }).join('');
 }
 
-function getPlatformIcon(platform) {
-    const icons = {
-        facebook: '<svg viewBox="0 0 24 24" fill="currentColor" style="color: #1877f2;"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/></svg>',
-        telegram: '<svg viewBox="0 0 24 24" fill="currentColor" style="color: #26a5e4;"><path d="M11.944 0A12 12 0 0 0 0 12a12 12 0 0 0 12 12 12 12 0 0 0 12-12A12 12 0 0 0 12 0a12 12 0 0 0-.056 0zm4.962 7.224c.1-.002.321.023.465.14a.506.506 0 0 1 .171.325c.016.093.036.306.02.472-.18 1.898-.962 6.502-1.36 8.627-.168.9-.499 1.201-.82 1.23-.696.065-1.225-.46-1.9-.902-1.056-.693-1.653-1.124-2.678-1.8-1.185-.78-.417-1.21.258-1.91.177-.184 3.247-2.977 3.307-3.23.007-.032.014-.15-.056-.212s-.174-.041-.249-.024c-.106.024-1.793 1.14-5.061 3.345-.48.33-.913.49-1.302.48-.428-.008-1.252-.241-1.865-.44-.752-.245-1.349-.374-1.297-.789.027-.216.325-.437.893-.663 3.498-1.524 5.83-2.529 6.998-3.014 3.332-1.386 4.025-1.627 4.476-1.635z"/></svg>',
-        tiktok: '<svg viewBox="0 0 24 24" fill="currentColor" style="color: #ff0050;"><path d="M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z"/></svg>',
-        instagram: '<svg viewBox="0 0 24 24" fill="currentColor" style="color: #e4405f;"><path d="M12 0C8.74 0 8.333.015 7.053.072 5.775.132 4.905.333 4.14.63c-.789.306-1.459.717-2.126 1.384S.935 3.35.63 4.14C.333 4.905.131 5.775.072 7.053.012 8.333 0 8.74 0 12s.015 3.667.072 4.947c.06 1.277.261 2.148.558 2.913.306.788.717 1.459 1.384 2.126.667.666 1.336 1.079 2.126 1.384.766.296 1.636.499 2.913.558C8.333 23.988 8.74 24 12 24s3.667-.015 4.947-.072c1.277-.06 2.148-.262 2.913-.558.788-.306 1.459-.718 2.126-1.384.666-.667 1.079-1.335 1.384-2.126.296-.765.499-1.636.558-2.913.06-1.28.072-1.687.072-4.947s-.015-3.667-.072-4.947c-.06-1.277-.262-2.149-.558-2.913-.306-.789-.718-1.459-1.384-2.126C21.319 1.347 20.651.935 19.86.63c-.765-.297-1.636-.499-2.913-.558C15.667.012 15.26 0 12 0zm0 5.838a6.162 6.162 0 1 0 0 12.324 6.162 6.162 0 0 0 0-12.324zM12 16c-2.21 0-4-1.79-4-4s1.79-4 4-4 4 1.79 4 4-1.79 4-4 4z"/></svg>',
-        youtube: '<svg viewBox="0 0 24 24" fill="currentColor" style="color: #ff0000;"><path d="M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/></svg>'
-    };
-    return icons[platform] || '';
+function getPlatformIcon(platformId) {
+    const platform = platformRegistry.find(p => p.id === platformId);
+    if (!platform) return '';
+    return `<svg viewBox="0 0 24 24" fill="currentColor" style="color: ${platform.color};"><path d="${platform.icon}"/></svg>`;
 }
 
+function getAccountBadge(accountId) {
+    for (const platform of platformRegistry) {
+        const account = (platform.accounts || []).find(a => a.id === accountId);
+        if (account) {
+            return `<span class="scheduled-account" title="${escapeHtml(account.label)}">${getPlatformIcon(platform.id)}${escapeHtml(account.label)}</span>`;
+        }
+    }
+    return '<span class="scheduled-account removed">Removed account</span>';
+}
+
+// Safe in text and in quoted attributes (labels come from users and platforms)
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 async function cancelScheduledPost(postId) {
@@ -19,9 +19,9 @@ const config = {
     chatId: process.env.TELEGRAM_CHAT_ID,
   },
 
-  // Upload settings
+  // Upload settings, shared by immediate and scheduled posts (the file
+  // count limit comes from the platforms, see uploadConfig in services/uploader.js)
   upload: {
-    maxPhotos: 10,
     maxPhotoSize: 10 * 1024 * 1024, // 10MB
     maxVideoSize: 100 * 1024 * 1024, // 100MB
     allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
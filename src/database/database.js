@@ -1,6 +1,7 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { encryptSettings, decryptSettings, reencryptSettings } from '../utils/credentialCipher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +22,16 @@ const db = new Database(dbPath);
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+/**
+ * Add a column to an existing table if an older database lacks it
+ */
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
 /**
  * Initialize database schema
  */
@@ -38,20 +49,34 @@ export function initializeDatabase() {
         )
     `);
 
-    // User platform settings
+    // Connected platform accounts (several per platform, each with its own credentials)
     db.exec(`
-        CREATE TABLE IF NOT EXISTS user_settings (
+        CREATE TABLE IF NOT EXISTS connected_accounts (
             id TEXT PRIMARY KEY,
             user_id TEXT NOT NULL,
             platform TEXT NOT NULL,
+            label TEXT NOT NULL DEFAULT '',
             settings_json TEXT NOT NULL,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            UNIQUE(user_id, platform)
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
     `);
 
+    // Older databases kept one settings row per platform; those become accounts
+    const legacySettings = db.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'user_settings'"
+    ).get();
+    if (legacySettings) {
+        db.transaction(() => {
+            db.exec(`
+                INSERT INTO connected_accounts (id, user_id, platform, settings_json, created_at, updated_at)
+                SELECT id, user_id, platform, settings_json, created_at, updated_at FROM user_settings
+            `);
+            db.exec('DROP TABLE user_settings');
+        })();
+    }
+
     // Post templates
     db.exec(`
         CREATE TABLE IF NOT EXISTS post_templates (
@@ -77,15 +102,51 @@ export function initializeDatabase() {
             scheduled_at DATETIME NOT NULL,
             status TEXT DEFAULT 'pending',
             result TEXT,
+            options TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
     `);
 
+    // Latest credential check per account
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS account_health (
+            account_id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            result_json TEXT NOT NULL,
+            checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (account_id) REFERENCES connected_accounts(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Older databases kept one check per platform; carry those over to the
+    // account migrated from the same platform's settings row
+    const legacyHealth = db.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'platform_health'"
+    ).get();
+    if (legacyHealth) {
+        db.transaction(() => {
+            db.exec(`
+                INSERT OR IGNORE INTO account_health (account_id, user_id, result_json, checked_at)
+                SELECT connected_accounts.id, platform_health.user_id, platform_health.result_json, platform_health.checked_at
+                FROM platform_health
+                JOIN connected_accounts ON connected_accounts.user_id = platform_health.user_id
+                    AND connected_accounts.platform = platform_health.platform
+            `);
+            db.exec('DROP TABLE platform_health');
+        })();
+    }
+
+    // Columns added after the initial schema
+    addColumnIfMissing('scheduled_posts', 'options', 'TEXT');
+    addColumnIfMissing('scheduled_posts', 'accounts', 'TEXT');
+
     // Create indexes for performance
     db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_user_settings_user_id ON user_settings(user_id);
+        CREATE INDEX IF NOT EXISTS idx_connected_accounts_user_id ON connected_accounts(user_id);
+        CREATE INDEX IF NOT EXISTS idx_account_health_user_id ON account_health(user_id);
         CREATE INDEX IF NOT EXISTS idx_post_templates_user_id ON post_templates(user_id);
         CREATE INDEX IF NOT EXISTS idx_scheduled_posts_user_id ON scheduled_posts(user_id);
         CREATE INDEX IF NOT EXISTS idx_scheduled_posts_status ON scheduled_posts(status);
@@ -119,45 +180,144 @@ export const UserModel = {
 };
 
 /**
- * User Settings operations
+ * Shape an account row, with its credentials parsed
  */
-export const SettingsModel = {
-    // Get all settings for a user
+function parseAccount(row) {
+    const account = {
+        id: row.id,
+        platform: row.platform,
+        label: row.label,
+        settings: {},
+        locked: null,
+        created_at: row.created_at,
+    };
+
+    // One unreadable row (key missing from the environment, corrupted data)
+    // must not hide the user's other accounts; it reads as empty until re-entered
+    try {
+        account.settings = decryptSettings(row.settings_json, row.id);
+    } catch (error) {
+        console.error(`Account ${row.id} credentials unreadable:`, error.message);
+        account.locked = error.message;
+    }
+
+    return account;
+}
+
+/**
+ * Connected account operations
+ */
+export const AccountModel = {
+    // Get all accounts of a user, oldest first
     getAllForUser(userId) {
-        const stmt = db.prepare('SELECT platform, settings_json FROM user_settings WHERE user_id = ?');
-        const rows = stmt.all(userId);
+        const stmt = db.prepare(`
+            SELECT id, platform, label, settings_json, created_at FROM connected_accounts
+            WHERE user_id = ?
+            ORDER BY created_at ASC, rowid ASC
+        `);
+        return stmt.all(userId).map(parseAccount);
+    },
 
-        const settings = {};
-        rows.forEach(row => {
-            settings[row.platform] = JSON.parse(row.settings_json);
-        });
-        return settings;
+    // Get one account, only if it belongs to the user
+    findForUser(id, userId) {
+        const stmt = db.prepare(`
+            SELECT id, platform, label, settings_json, created_at FROM connected_accounts
+            WHERE id = ? AND user_id = ?
+        `);
+        const row = stmt.get(id, userId);
+        return row ? parseAccount(row) : null;
+    },
+
+    create(id, userId, platform, label, settingsObj) {
+        const stmt = db.prepare(`
+            INSERT INTO connected_accounts (id, user_id, platform, label, settings_json)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        return stmt.run(id, userId, platform, label || '', encryptSettings(settingsObj, id));
     },
 
-    // Get settings for a specific platform
-    getForPlatform(userId, platform) {
-        const stmt = db.prepare('SELECT settings_json FROM user_settings WHERE user_id = ? AND platform = ?');
-        const row = stmt.get(userId, platform);
-        return row ? JSON.parse(row.settings_json) : null;
+    update(id, label, settingsObj) {
+        const stmt = db.prepare(`
+            UPDATE connected_accounts
+            SET label = ?, settings_json = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        return stmt.run(label || '', encryptSettings(settingsObj, id), id);
     },
 
-    // Upsert settings for a platform
-    upsert(id, userId, platform, settingsObj) {
-        const settingsJson = JSON.stringify(settingsObj);
+    // Replace only the credentials (token refreshes)
+    updateSettings(id, settingsObj) {
         const stmt = db.prepare(`
-            INSERT INTO user_settings (id, user_id, platform, settings_json)
-            VALUES (?, ?, ?, ?)
-            ON CONFLICT(user_id, platform) DO UPDATE SET
-                settings_json = excluded.settings_json,
-                updated_at = CURRENT_TIMESTAMP
+            UPDATE connected_accounts
+            SET settings_json = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
         `);
-        return stmt.run(id, userId, platform, settingsJson);
+        return stmt.run(encryptSettings(settingsObj, id), id);
     },
 
-    // Delete settings for a platform
-    delete(userId, platform) {
-        const stmt = db.prepare('DELETE FROM user_settings WHERE user_id = ? AND platform = ?');
-        return stmt.run(userId, platform);
+    delete(id, userId) {
+        const stmt = db.prepare('DELETE FROM connected_accounts WHERE id = ? AND user_id = ?');
+        return stmt.run(id, userId);
+    },
+
+    // IDs of users with at least one connected account
+    getUserIds() {
+        const stmt = db.prepare('SELECT DISTINCT user_id FROM connected_accounts');
+        return stmt.all().map(row => row.user_id);
+    },
+
+    // Encrypt plain rows and re-wrap old data keys with the current key;
+    // rows no configured key can open are left as they are and reported
+    reencryptAll() {
+        const rows = db.prepare('SELECT id, settings_json FROM connected_accounts').all();
+        const stmt = db.prepare('UPDATE connected_accounts SET settings_json = ? WHERE id = ?');
+
+        let updated = 0;
+        const failed = [];
+        db.transaction(() => {
+            rows.forEach(row => {
+                try {
+                    const settingsJson = reencryptSettings(row.settings_json, row.id);
+                    if (settingsJson) {
+                        stmt.run(settingsJson, row.id);
+                        updated++;
+                    }
+                } catch (error) {
+                    failed.push({ id: row.id, error: error.message });
+                }
+            });
+        })();
+
+        return { total: rows.length, updated, failed };
+    },
+};
+
+/**
+ * Account credential check results
+ */
+export const HealthCheckModel = {
+    // Latest results for a user, keyed by account id
+    getAllForUser(userId) {
+        const stmt = db.prepare('SELECT account_id, result_json FROM account_health WHERE user_id = ?');
+        const rows = stmt.all(userId);
+
+        const health = {};
+        rows.forEach(row => {
+            health[row.account_id] = JSON.parse(row.result_json);
+        });
+        return health;
+    },
+
+    // Replace the stored result for an account
+    upsert(accountId, userId, result) {
+        const stmt = db.prepare(`
+            INSERT INTO account_health (account_id, user_id, result_json)
+            VALUES (?, ?, ?)
+            ON CONFLICT(account_id) DO UPDATE SET
+                result_json = excluded.result_json,
+                checked_at = CURRENT_TIMESTAMP
+        `);
+        return stmt.run(accountId, userId, JSON.stringify(result));
     },
 };
 
@@ -210,12 +370,12 @@ export const TemplateModel = {
  * Scheduled Posts operations
  */
 export const ScheduledPostModel = {
-    create(id, userId, platforms, caption, mediaPaths, scheduledAt) {
+    create(id, userId, platforms, caption, mediaPaths, scheduledAt, options = {}, accountIds = []) {
         const stmt = db.prepare(`
-            INSERT INTO scheduled_posts (id, user_id, platforms, caption, media_paths, scheduled_at)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO scheduled_posts (id, user_id, platforms, accounts, caption, media_paths, scheduled_at, options)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        return stmt.run(id, userId, JSON.stringify(platforms), caption, JSON.stringify(mediaPaths), scheduledAt);
+        return stmt.run(id, userId, JSON.stringify(platforms), JSON.stringify(accountIds), caption, JSON.stringify(mediaPaths), scheduledAt, JSON.stringify(options));
     },
 
     getAllForUser(userId) {
@@ -228,8 +388,10 @@ export const ScheduledPostModel = {
         return rows.map(row => ({
             ...row,
             platforms: JSON.parse(row.platforms),
+            accounts: row.accounts ? JSON.parse(row.accounts) : [],
             media_paths: JSON.parse(row.media_paths),
             result: row.result ? JSON.parse(row.result) : null,
+            options: row.options ? JSON.parse(row.options) : {},
         }));
     },
 
@@ -243,7 +405,9 @@ export const ScheduledPostModel = {
         return rows.map(row => ({
             ...row,
             platforms: JSON.parse(row.platforms),
+            accounts: row.accounts ? JSON.parse(row.accounts) : [],
             media_paths: JSON.parse(row.media_paths),
+            options: row.options ? JSON.parse(row.options) : {},
         }));
     },
 
@@ -252,8 +416,10 @@ export const ScheduledPostModel = {
         const row = stmt.get(id);
         if (row) {
             row.platforms = JSON.parse(row.platforms);
+            row.accounts = row.accounts ? JSON.parse(row.accounts) : [];
             row.media_paths = JSON.parse(row.media_paths);
             row.result = row.result ? JSON.parse(row.result) : null;
+            row.options = row.options ? JSON.parse(row.options) : {};
         }
         return row;
     },
@@ -9,8 +9,14 @@ import postRoutes from './routes/post.js';
 import settingsRoutes from './routes/settings.js';
 import authRoutes from './routes/auth.js';
 import scheduledRoutes from './routes/scheduled.js';
+import platformRoutes from './routes/platforms.js';
+import mediaRoutes from './routes/media.js';
+import connectRoutes from './routes/connect.js';
 import { initializeDatabase } from './database/database.js';
 import { startScheduler } from './services/scheduler.js';
+import { startHealthChecks } from './services/healthCheck.js';
+import { getAllPlatforms } from './services/platforms.js';
+import { isEncryptionEnabled } from './utils/credentialCipher.js';
 
 dotenv.config();
 
@@ -21,6 +27,11 @@ const __dirname = path.dirname(__filename);
 // Initialize database
 initializeDatabase();
 
+// Also fails fast on a malformed key
+if (!isEncryptionEnabled()) {
+    console.warn('⚠️ CREDENTIALS_KEY is not set: platform credentials are stored unencrypted');
+}
+
 const app = express();
 
 // Trust proxy (required for Railway, Render, etc. - they use reverse proxies)
@@ -60,13 +71,17 @@ app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+
+// Uploaded media is only reachable through signed, expiring links
+app.use('/media', mediaRoutes);
 
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/post', postRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/scheduled', scheduledRoutes);
+app.use('/api/platforms', platformRoutes);
+app.use('/api/connect', connectRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -109,14 +124,15 @@ app.listen(PORT, () => {
     console.log('   • Per-user platform settings');
     console.log('   • Post templates');
     console.log('   • Scheduled posts');
+    console.log('   • Credential health checks');
+    console.log('   • Encrypted credential storage');
     console.log('\n📱 Supported Platforms:');
-    console.log('   • Facebook (photos & videos)');
-    console.log('   • Telegram (photos & videos)');
-    console.log('   • TikTok (videos only)');
-    console.log('   • Instagram (photos, videos & carousels)');
-    console.log('   • YouTube (coming soon)');
+    getAllPlatforms().forEach(platform => {
+        console.log(`   • ${platform.name} (${platform.mediaTypes.map(type => ({ mixed: 'mixed albums', text: 'text' }[type] || `${type}s`)).join(', ')})`);
+    });
     console.log('\n💡 Create an account to get started!\n');
 
-    // Start the post scheduler
+    // Start the post scheduler and background credential checks
     startScheduler();
+    startHealthChecks();
 });
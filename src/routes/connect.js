@@ -0,0 +1,333 @@
+import express from 'express';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { AccountModel } from '../database/database.js';
+import { requireAuth, getCurrentUserId } from '../middleware/auth.js';
+import { getMetaAuthUrl, exchangeMetaCode, listMetaPages } from '../services/metaConnect.js';
+import { createTikTokPkce, getTikTokAuthUrl, exchangeTikTokCode } from '../services/tiktokConnect.js';
+import { verifyTikTok } from '../services/tiktok.js';
+import { getGoogleAuthUrl, exchangeGoogleCode } from '../services/googleConnect.js';
+import { encryptTransient, decryptTransient } from '../utils/credentialCipher.js';
+
+const router = express.Router();
+
+// How long the Page picker can use the Pages found in the Meta callback
+const META_PAGES_TTL = 10 * 60 * 1000;
+
+/**
+ * Send the browser back to the app with the outcome in the query string
+ */
+function redirectToApp(res, provider, error) {
+    const params = new URLSearchParams({ connect: provider });
+    if (error) params.set('error', error);
+    res.redirect(`/?${params}`);
+}
+
+/**
+ * Check the state echoed back by the provider against the session copy
+ */
+function checkState(req, sessionKey) {
+    const { state, error, error_description: description } = req.query;
+    const expected = req.session[sessionKey];
+    delete req.session[sessionKey];
+
+    if (error) {
+        throw new Error(description || error);
+    }
+
+    if (!state || !expected || state !== expected.state) {
+        throw new Error('Connection expired or was tampered with, please try again');
+    }
+
+    return expected;
+}
+
+/**
+ * Save an OAuth result as a connected account: the account being
+ * reconnected, else the one already linked to the same external account
+ * (all `match` settings equal), else a new one. Clears the reconnect flag.
+ * @returns {string} The account id
+ */
+function saveConnectedAccount(userId, platform, { accountId, match, label, settings }) {
+    const accounts = AccountModel.getAllForUser(userId).filter(account => account.platform === platform);
+    const existing = accounts.find(account => account.id === accountId)
+        || (match && accounts.find(account => Object.entries(match)
+            .every(([key, value]) => account.settings[key] === value)));
+
+    if (existing) {
+        const { needs_reconnect, ...kept } = existing.settings;
+        AccountModel.update(existing.id, existing.label || label, { ...kept, ...settings });
+        return existing.id;
+    }
+
+    const id = uuidv4();
+    AccountModel.create(id, userId, platform, label, settings);
+    return id;
+}
+
+/**
+ * Pages found in the Meta callback, with their tokens; null (and cleared)
+ * once expired or if the server restarted since
+ */
+function getPendingMetaPages(req) {
+    const pages = decryptTransient(req.session.metaPages, getCurrentUserId(req));
+    if (!pages) {
+        delete req.session.metaPages;
+    }
+    return pages;
+}
+
+/**
+ * GET /api/connect/meta
+ * Start Facebook Login (browser navigation)
+ */
+router.get('/meta', requireAuth, (req, res) => {
+    try {
+        const state = crypto.randomBytes(16).toString('hex');
+        const authUrl = getMetaAuthUrl(state);
+
+        delete req.session.metaPages;
+        req.session.metaOAuth = { state };
+
+        res.redirect(authUrl);
+    } catch (error) {
+        console.error('Meta connect error:', error.message);
+        redirectToApp(res, 'meta', error.message);
+    }
+});
+
+/**
+ * GET /api/connect/meta/callback
+ * Facebook redirects here; the user token is only used to list the Pages,
+ * whose tokens are kept in the session, encrypted and for a few minutes,
+ * until the user picks which Page to connect
+ */
+router.get('/meta/callback', requireAuth, async (req, res) => {
+    delete req.session.metaPages;
+
+    try {
+        checkState(req, 'metaOAuth');
+
+        const userToken = await exchangeMetaCode(req.query.code);
+        const pages = await listMetaPages(userToken.accessToken);
+
+        if (pages.length === 0) {
+            return redirectToApp(res, 'meta', 'No Facebook Pages found for this account');
+        }
+
+        req.session.metaPages = encryptTransient(pages, getCurrentUserId(req), META_PAGES_TTL);
+
+        redirectToApp(res, 'meta');
+    } catch (error) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+        console.error('Meta connect callback error:', errorMessage);
+        redirectToApp(res, 'meta', errorMessage);
+    }
+});
+
+/**
+ * GET /api/connect/meta/accounts
+ * Pages and linked Instagram accounts available to connect (tokens omitted)
+ */
+router.get('/meta/accounts', requireAuth, (req, res) => {
+    try {
+        const pages = getPendingMetaPages(req);
+
+        if (!pages) {
+            return res.status(400).json({
+                success: false,
+                error: 'Connect with Facebook first',
+            });
+        }
+
+        res.json({
+            success: true,
+            pages: pages.map(({ accessToken, ...page }) => page),
+        });
+    } catch (error) {
+        console.error('Error listing Meta accounts:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/connect/meta/select
+ * Save the chosen Page (and optionally its Instagram account) as
+ * Facebook / Instagram accounts; connecting a Page again updates it
+ */
+router.post('/meta/select', requireAuth, (req, res) => {
+    // One pick per Facebook Login, whatever the outcome
+    const pages = getPendingMetaPages(req);
+    delete req.session.metaPages;
+
+    try {
+        const userId = getCurrentUserId(req);
+        const { pageId, connectInstagram = true } = req.body;
+
+        if (!pages) {
+            return res.status(400).json({
+                success: false,
+                error: 'Connect with Facebook first',
+            });
+        }
+
+        // The Page token comes from the session, never through the browser
+        const page = pages.find(p => p.id === pageId);
+
+        if (!page) {
+            return res.status(404).json({
+                success: false,
+                error: 'Page not found for this Facebook account',
+            });
+        }
+
+        saveConnectedAccount(userId, 'facebook', {
+            match: { page_id: page.id },
+            label: page.name,
+            settings: { page_id: page.id, access_token: page.accessToken },
+        });
+
+        const connected = ['facebook'];
+
+        if (page.instagram && connectInstagram) {
+            saveConnectedAccount(userId, 'instagram', {
+                match: { account_id: page.instagram.id },
+                label: `@${page.instagram.username}`,
+                settings: { account_id: page.instagram.id, access_token: page.accessToken },
+            });
+            connected.push('instagram');
+        }
+
+        res.json({
+            success: true,
+            connected,
+            message: page.instagram && connectInstagram
+                ? `Connected ${page.name} and @${page.instagram.username}`
+                : `Connected ${page.name}`,
+        });
+    } catch (error) {
+        console.error('Error saving Meta connection:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/connect/meta/pending
+ * Drop the Pages of an abandoned Facebook Login
+ */
+router.delete('/meta/pending', requireAuth, (req, res) => {
+    delete req.session.metaPages;
+    res.json({ success: true });
+});
+
+/**
+ * GET /api/connect/tiktok
+ * Start TikTok Login Kit authorization with PKCE (browser navigation);
+ * ?account=<id> reconnects that account
+ */
+router.get('/tiktok', requireAuth, (req, res) => {
+    try {
+        const state = crypto.randomBytes(16).toString('hex');
+        const { codeVerifier, codeChallenge } = createTikTokPkce();
+        const authUrl = getTikTokAuthUrl(state, codeChallenge);
+
+        req.session.tiktokOAuth = { state, codeVerifier, accountId: req.query.account };
+
+        res.redirect(authUrl);
+    } catch (error) {
+        console.error('TikTok connect error:', error.message);
+        redirectToApp(res, 'tiktok', error.message);
+    }
+});
+
+/**
+ * GET /api/connect/tiktok/callback
+ * Save the creator's tokens as a TikTok account
+ */
+router.get('/tiktok/callback', requireAuth, async (req, res) => {
+    try {
+        const { codeVerifier, accountId } = checkState(req, 'tiktokOAuth');
+        const tokens = await exchangeTikTokCode(req.query.code, codeVerifier);
+        const userId = getCurrentUserId(req);
+
+        // Label new accounts with the creator's handle when TikTok tells us
+        const creator = await verifyTikTok({ tiktok_access_token: tokens.accessToken });
+
+        saveConnectedAccount(userId, 'tiktok', {
+            accountId,
+            match: tokens.openId ? { open_id: tokens.openId } : null,
+            label: creator.valid ? creator.account : '',
+            settings: {
+                access_token: tokens.accessToken,
+                open_id: tokens.openId,
+                refresh_token: tokens.refreshToken,
+                token_expires_at: tokens.expiresAt,
+                token_scope: tokens.scope,
+            },
+        });
+
+        redirectToApp(res, 'tiktok');
+    } catch (error) {
+        const errorMessage = error.response?.data?.error_description || error.message;
+        console.error('TikTok connect callback error:', errorMessage);
+        redirectToApp(res, 'tiktok', errorMessage);
+    }
+});
+
+/**
+ * GET /api/connect/google
+ * Start Google OAuth for YouTube uploads (browser navigation);
+ * ?account=<id> reconnects that account
+ */
+router.get('/google', requireAuth, (req, res) => {
+    try {
+        const state = crypto.randomBytes(16).toString('hex');
+        const authUrl = getGoogleAuthUrl(state);
+
+        req.session.googleOAuth = { state, accountId: req.query.account };
+
+        res.redirect(authUrl);
+    } catch (error) {
+        console.error('Google connect error:', error.message);
+        redirectToApp(res, 'google', error.message);
+    }
+});
+
+/**
+ * GET /api/connect/google/callback
+ * Save the tokens as a YouTube account; the app's OAuth client replaces
+ * any client ID/secret pasted in by hand, since the refresh token only
+ * works with the client that issued it
+ */
+router.get('/google/callback', requireAuth, async (req, res) => {
+    try {
+        const { accountId } = checkState(req, 'googleOAuth');
+        const tokens = await exchangeGoogleCode(req.query.code);
+        const userId = getCurrentUserId(req);
+
+        if (!tokens.refreshToken) {
+            throw new Error('Google did not return a refresh token, please try again');
+        }
+
+        saveConnectedAccount(userId, 'youtube', {
+            accountId,
+            label: '',
+            settings: {
+                client_id: '',
+                client_secret: '',
+                access_token: tokens.accessToken,
+                refresh_token: tokens.refreshToken,
+                token_expires_at: tokens.expiresAt,
+                token_scope: tokens.scope,
+            },
+        });
+
+        redirectToApp(res, 'google');
+    } catch (error) {
+        const errorMessage = error.response?.data?.error_description || error.message;
+        console.error('Google connect callback error:', errorMessage);
+        redirectToApp(res, 'google', errorMessage);
+    }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { UPLOADS_DIR, verifyMediaSignature } from '../utils/mediaHelper.js';
+
+const router = express.Router();
+
+/**
+ * GET /media/<path>?expires=...&signature=...
+ * Serve one uploaded file to a platform fetcher (Instagram, Threads, TikTok).
+ * No session is required; the URL itself is the credential and expires.
+ */
+router.get('/*', (req, res) => {
+    const relativePath = req.params[0];
+    const { expires, signature } = req.query;
+
+    const signatureError = verifyMediaSignature(relativePath, expires, signature);
+    if (signatureError) {
+        return res.status(403).json({ success: false, error: signatureError });
+    }
+
+    // Never serve anything outside the uploads directory
+    const filePath = path.resolve(UPLOADS_DIR, relativePath);
+    if (!filePath.startsWith(path.resolve(UPLOADS_DIR) + path.sep)) {
+        return res.status(403).json({ success: false, error: 'Invalid path' });
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(filePath);
+});
+
+export default router;
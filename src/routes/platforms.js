@@ -0,0 +1,38 @@
+import express from 'express';
+import { requireAuth, getCurrentUserId } from '../middleware/auth.js';
+import { getAllPlatforms, describePlatform, resolvePostOptions } from '../services/platforms.js';
+import { getAccountSettings } from './settings.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/platforms
+ * List registered platforms with their credential fields,
+ * supported media types, limits and the user's connected accounts
+ * (used to build the UI)
+ */
+router.get('/', requireAuth, (req, res) => {
+    try {
+        const accounts = getAccountSettings(getCurrentUserId(req));
+
+        res.json({
+            success: true,
+            platforms: getAllPlatforms().map(platform => ({
+                ...describePlatform(platform),
+                // Some post options list choices from the account's own settings
+                accounts: accounts
+                    .filter(account => account.platform === platform.id)
+                    .map(account => ({
+                        id: account.id,
+                        label: account.label,
+                        postOptions: resolvePostOptions(platform, account.settings),
+                    })),
+            })),
+        });
+    } catch (error) {
+        console.error('Error loading platforms:', error);
+        res.status(500).json({ success: false, error: 'Failed to load platforms' });
+    }
+});
+
+export default router;
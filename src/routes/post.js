@@ -2,9 +2,11 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { postToAllPlatforms } from '../services/uploader.js';
-import { validateMedia, cleanupFiles } from '../utils/mediaHelper.js';
-import { getSettings, isPlatformConfigured } from './settings.js';
+import { postToAccounts, uploadConfig } from '../services/uploader.js';
+import { validateMedia, cleanupFiles, parseMediaMeta, attachMediaMeta } from '../utils/mediaHelper.js';
+import { getAccountSettings } from './settings.js';
+import { getPlatform, isConfigured, parseAccountIds, parsePostOptions } from '../services/platforms.js';
+import { refreshTokens, getReconnectStatus } from '../services/tokenManager.js';
 import { requireAuth, getCurrentUserId } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -13,15 +15,6 @@ const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Upload config
-const uploadConfig = {
-    maxPhotos: 10,
-    maxPhotoSize: 10 * 1024 * 1024, // 10MB
-    maxVideoSize: 100 * 1024 * 1024, // 100MB
-    allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-    allowedVideoTypes: ['video/mp4', 'video/quicktime', 'video/x-msvideo'],
-};
-
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -44,16 +37,23 @@ const upload = multer({
 
 /**
  * POST /api/post
- * Post content to multiple platforms
+ * Post content to several connected accounts
  */
 router.post('/', requireAuth, upload.array('media', uploadConfig.maxPhotos), async (req, res) => {
     const files = req.files;
     const userId = getCurrentUserId(req);
 
     try {
+        // Text-only posts are fine, empty ones are not
+        if ((!files || files.length === 0) && !(req.body.caption || '').trim()) {
+            return res.status(400).json({
+                success: false,
+                errors: ['Add a caption or at least one photo or video'],
+            });
+        }
+
         // Validate files
-        const config = { upload: uploadConfig };
-        const validationErrors = validateMedia(files, config);
+        const validationErrors = validateMedia(files, { upload: uploadConfig });
         if (validationErrors.length > 0) {
             cleanupFiles(files);
             return res.status(400).json({
@@ -62,42 +62,45 @@ router.post('/', requireAuth, upload.array('media', uploadConfig.maxPhotos), asy
             });
         }
 
-        // Get platforms from request
-        const platformsRaw = req.body.platforms;
-        let platforms = [];
-
-        if (Array.isArray(platformsRaw)) {
-            platforms = platformsRaw;
-        } else if (typeof platformsRaw === 'string') {
-            // Try to parse as JSON first (e.g., '["facebook","telegram"]')
-            try {
-                platforms = JSON.parse(platformsRaw);
-            } catch (e) {
-                // Fall back to comma-separated
-                platforms = platformsRaw.split(',').map(p => p.trim());
-            }
+        // Get target accounts from request
+        const accountIds = parseAccountIds(req.body.accounts);
+
+        if (accountIds.length === 0) {
+            cleanupFiles(files);
+            return res.status(400).json({
+                success: false,
+                errors: ['At least one account must be selected'],
+            });
         }
 
-        if (platforms.length === 0) {
+        const ownedIds = new Set(getAccountSettings(userId).map(account => account.id));
+        if (accountIds.some(id => !ownedIds.has(id))) {
             cleanupFiles(files);
             return res.status(400).json({
                 success: false,
-                errors: ['At least one platform must be selected'],
+                errors: ['Unknown account selected, please reload the page'],
             });
         }
 
         // Get caption
         const caption = req.body.caption || '';
 
-        // Get user's settings for posting
-        const userSettings = getSettings(userId);
+        // Renew expiring OAuth tokens, then load the accounts' settings for posting
+        const reconnect = await refreshTokens(userId, accountIds);
+        const userAccounts = getAccountSettings(userId);
+        const accounts = accountIds.map(id => userAccounts.find(account => account.id === id));
+
+        // Per-file alt text / focal points and per-account options
+        attachMediaMeta(files, parseMediaMeta(req.body.media_meta));
+        const options = parsePostOptions(req.body.options, accounts);
 
-        // Post to all selected platforms
-        const results = await postToAllPlatforms({
-            platforms,
+        // Post to all selected accounts
+        const results = await postToAccounts({
+            accounts,
             files,
             caption,
-            userSettings,  // Pass user-specific settings
+            options,
+            reconnect,
         });
 
         // Cleanup uploaded files
@@ -126,29 +129,22 @@ router.post('/', requireAuth, upload.array('media', uploadConfig.maxPhotos), asy
 
 /**
  * GET /api/post/status
- * Check configuration status for all platforms
+ * Check configuration status for all connected accounts, keyed by account id
  */
 router.get('/status', requireAuth, (req, res) => {
     const userId = getCurrentUserId(req);
-    const settings = getSettings(userId);
-
-    const status = {
-        facebook: {
-            configured: !!(settings.facebook_page_id && settings.facebook_access_token),
-        },
-        telegram: {
-            configured: !!(settings.telegram_bot_token && settings.telegram_chat_id),
-        },
-        tiktok: {
-            configured: !!(settings.tiktok_access_token && settings.tiktok_open_id),
-        },
-        instagram: {
-            configured: !!(settings.instagram_account_id && settings.instagram_access_token),
-        },
-        youtube: {
-            configured: !!(settings.youtube_client_id && settings.youtube_client_secret && settings.youtube_refresh_token),
-        },
-    };
+    const reconnect = getReconnectStatus(userId);
+
+    const status = {};
+    getAccountSettings(userId).forEach(account => {
+        status[account.id] = {
+            platform: account.platform,
+            label: account.label,
+            configured: isConfigured(getPlatform(account.platform), account.settings),
+            needsReconnect: reconnect[account.id] || null,
+            locked: !!account.locked,
+        };
+    });
 
     res.json(status);
 });
@@ -5,7 +5,10 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { requireAuth, getCurrentUserId } from '../middleware/auth.js';
-import { ScheduledPostModel } from '../database/database.js';
+import { ScheduledPostModel, AccountModel } from '../database/database.js';
+import { getPlatform, checkPostSupport, parseAccountIds, parsePostOptions } from '../services/platforms.js';
+import { uploadConfig } from '../services/uploader.js';
+import { validateMedia, cleanupFiles, parseMediaMeta, getPostMediaType } from '../utils/mediaHelper.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,9 +39,32 @@ const storage = multer.diskStorage({
 
 const upload = multer({
     storage,
-    limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+    limits: {
+        fileSize: uploadConfig.maxVideoSize,
+        files: uploadConfig.maxPhotos,
+    },
 });
 
+/**
+ * Check the post against every target account's platform now, so a post
+ * that can't be published is rejected when it is scheduled
+ * @returns {string|null} Error message, or null if every account supports it
+ */
+function checkScheduledPost(accountList, files, caption, postOptions) {
+    const mediaType = getPostMediaType(files);
+
+    const errors = accountList.map(account => {
+        const platform = getPlatform(account.platform);
+        const error = platform
+            ? checkPostSupport(platform, { files, caption, mediaType, options: postOptions[account.id] || {} })
+            : `Unknown platform: ${account.platform}`;
+
+        return error && account.label ? `${account.label}: ${error}` : error;
+    }).filter(Boolean);
+
+    return errors.length > 0 ? errors.join('; ') : null;
+}
+
 /**
  * GET /api/scheduled - List user's scheduled posts
  */
@@ -63,28 +89,41 @@ router.get('/', requireAuth, (req, res) => {
 /**
  * POST /api/scheduled - Create a scheduled post
  */
-router.post('/', requireAuth, upload.array('media', 10), async (req, res) => {
+router.post('/', requireAuth, upload.array('media', uploadConfig.maxPhotos), async (req, res) => {
+    const files = req.files || [];
+
     try {
         const userId = getCurrentUserId(req);
-        const { platforms, caption, scheduledAt } = req.body;
-        const files = req.files;
+        const { accounts, caption, scheduledAt } = req.body;
+
+        // Validate inputs (text-only posts need a caption)
+        if (files.length === 0 && !(caption || '').trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Add a caption or at least one photo or video',
+            });
+        }
 
-        // Validate inputs
-        if (!files || files.length === 0) {
+        const validationErrors = validateMedia(files, { upload: uploadConfig });
+        if (validationErrors.length > 0) {
+            cleanupFiles(files);
             return res.status(400).json({
                 success: false,
-                error: 'At least one media file is required',
+                error: validationErrors.join(', '),
             });
         }
 
-        if (!platforms) {
+        const accountIds = parseAccountIds(accounts);
+        if (accountIds.length === 0) {
+            cleanupFiles(files);
             return res.status(400).json({
                 success: false,
-                error: 'At least one platform must be selected',
+                error: 'At least one account must be selected',
             });
         }
 
         if (!scheduledAt) {
+            cleanupFiles(files);
             return res.status(400).json({
                 success: false,
                 error: 'Scheduled time is required',
@@ -94,6 +133,7 @@ router.post('/', requireAuth, upload.array('media', 10), async (req, res) => {
         // Parse and validate scheduled time
         const scheduledDate = new Date(scheduledAt);
         if (isNaN(scheduledDate.getTime())) {
+            cleanupFiles(files);
             return res.status(400).json({
                 success: false,
                 error: 'Invalid scheduled time format',
@@ -101,20 +141,44 @@ router.post('/', requireAuth, upload.array('media', 10), async (req, res) => {
         }
 
         if (scheduledDate <= new Date()) {
+            cleanupFiles(files);
             return res.status(400).json({
                 success: false,
                 error: 'Scheduled time must be in the future',
             });
         }
 
-        // Parse platforms
-        const platformList = typeof platforms === 'string'
-            ? JSON.parse(platforms)
-            : platforms;
+        // The platforms are kept alongside the accounts for display
+        const accountList = accountIds.map(id => AccountModel.findForUser(id, userId));
+
+        if (accountList.some(account => !account)) {
+            cleanupFiles(files);
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown account selected, please reload the page',
+            });
+        }
+
+        const platformList = [...new Set(accountList.map(account => account.platform))];
 
         // Get absolute paths of uploaded files
         const mediaPaths = files.map(f => f.path);
 
+        // Keep alt text / focal points and per-account options for the scheduler
+        const options = {
+            postOptions: parsePostOptions(req.body.options, accountList),
+            mediaMeta: parseMediaMeta(req.body.media_meta),
+        };
+
+        const unsupported = checkScheduledPost(accountList, files, caption || '', options.postOptions);
+        if (unsupported) {
+            cleanupFiles(files);
+            return res.status(400).json({
+                success: false,
+                error: unsupported,
+            });
+        }
+
         // Create scheduled post
         const postId = uuidv4();
 
@@ -132,7 +196,9 @@ router.post('/', requireAuth, upload.array('media', 10), async (req, res) => {
             platformList,
             caption || '',
             mediaPaths,
-            localDateStr
+            localDateStr,
+            options,
+            accountIds
         );
 
         const newPost = ScheduledPostModel.findById(postId);
@@ -144,6 +210,7 @@ router.post('/', requireAuth, upload.array('media', 10), async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating scheduled post:', error);
+        cleanupFiles(files);
         res.status(500).json({
             success: false,
             error: 'Failed to schedule post',
@@ -1,39 +1,31 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { SettingsModel } from '../database/database.js';
+import { AccountModel } from '../database/database.js';
 import { requireAuth, getCurrentUserId } from '../middleware/auth.js';
+import { getPlatform, isConfigured, flattenAccountSettings, toServiceAccount } from '../services/platforms.js';
+import { checkAccountHealth, getHealthStatus } from '../services/healthCheck.js';
+import { formSettings, submittedSettings, mergeHiddenSettings } from '../utils/accountSettings.js';
 
 const router = express.Router();
 
-// Platform configuration structure
-const platformFields = {
-    facebook: ['page_id', 'access_token'],
-    telegram: ['bot_token', 'chat_id'],
-    tiktok: ['access_token', 'open_id'],
-    instagram: ['account_id', 'access_token'],
-    youtube: ['client_id', 'client_secret', 'refresh_token'],
-};
-
 /**
  * GET /api/settings
- * Get current user's settings
+ * Get current user's connected accounts
  */
 router.get('/', requireAuth, (req, res) => {
     try {
         const userId = getCurrentUserId(req);
-        const settings = SettingsModel.getAllForUser(userId);
-
-        // Convert to flat format for frontend compatibility
-        const flatSettings = {};
-        Object.keys(platformFields).forEach(platform => {
-            const platformSettings = settings[platform] || {};
-            platformFields[platform].forEach(field => {
-                const key = `${platform}_${field}`;
-                flatSettings[key] = platformSettings[field] || '';
-            });
-        });
-
-        res.json(flatSettings);
+        const accounts = AccountModel.getAllForUser(userId)
+            .filter(account => getPlatform(account.platform))
+            .map(account => ({
+                id: account.id,
+                platform: account.platform,
+                label: account.label,
+                settings: formSettings(getPlatform(account.platform), account.settings),
+                locked: !!account.locked,
+            }));
+
+        res.json({ accounts });
     } catch (error) {
         console.error('Error loading settings:', error);
         res.status(500).json({ success: false, error: 'Failed to load settings' });
@@ -42,34 +34,39 @@ router.get('/', requireAuth, (req, res) => {
 
 /**
  * POST /api/settings
- * Save user's settings
+ * Save the user's accounts: { accounts: [{ id?, platform, label, settings, clear? }] }
+ * Accounts without an id are created if any field has a value; `clear`
+ * lists password fields to erase.
  */
 router.post('/', requireAuth, (req, res) => {
     try {
         const userId = getCurrentUserId(req);
-        const newSettings = req.body;
-
-        // Group settings by platform
-        const platformSettings = {};
-        Object.keys(platformFields).forEach(platform => {
-            platformSettings[platform] = {};
-            platformFields[platform].forEach(field => {
-                const key = `${platform}_${field}`;
-                if (newSettings[key] !== undefined) {
-                    platformSettings[platform][field] = newSettings[key];
-                }
-            });
-        });
-
-        // Save each platform's settings
-        Object.keys(platformSettings).forEach(platform => {
-            const settings = platformSettings[platform];
-            // Only save if at least one field has a value
-            const hasValue = Object.values(settings).some(v => v && v.length > 0);
+        const accounts = Array.isArray(req.body.accounts) ? req.body.accounts : [];
+
+        for (const submitted of accounts) {
+            const platform = getPlatform(submitted?.platform);
+            if (!platform) continue;
+
+            const label = String(submitted.label ?? '').trim();
+            const clear = Array.isArray(submitted.clear) ? submitted.clear : [];
+            const settings = submittedSettings(platform, submitted.settings, clear);
+
+            if (submitted.id) {
+                const existing = AccountModel.findForUser(submitted.id, userId);
+                if (!existing || existing.platform !== platform.id) continue;
+
+                AccountModel.update(existing.id, label,
+                    mergeHiddenSettings(platform, existing.settings, settings));
+                continue;
+            }
+
+            // Only create it once a credential is entered (selects always have a value)
+            const hasValue = platform.fields.some(field => !['select', 'checkbox'].includes(field.type)
+                && settings[field.name]?.length > 0);
             if (hasValue) {
-                SettingsModel.upsert(uuidv4(), userId, platform, settings);
+                AccountModel.create(uuidv4(), userId, platform.id, label, settings);
             }
-        });
+        }
 
         res.json({ success: true, message: 'Settings saved successfully' });
     } catch (error) {
@@ -79,38 +76,121 @@ router.post('/', requireAuth, (req, res) => {
 });
 
 /**
- * Get settings for posting (internal use)
+ * DELETE /api/settings/accounts/:id
+ * Disconnect an account and forget its credentials
  */
-export function getSettings(userId) {
-    if (!userId) {
-        return {};
+router.delete('/accounts/:id', requireAuth, (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const result = AccountModel.delete(req.params.id, userId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+
+        res.json({ success: true, message: 'Account removed' });
+    } catch (error) {
+        console.error('Error removing account:', error);
+        res.status(500).json({ success: false, error: 'Failed to remove account' });
     }
+});
 
-    const settings = SettingsModel.getAllForUser(userId);
+/**
+ * GET /api/settings/health
+ * Latest connection test / background check result per account
+ */
+router.get('/health', requireAuth, (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
 
-    // Convert to flat format for service compatibility
-    const flatSettings = {};
-    Object.keys(platformFields).forEach(platform => {
-        const platformSettings = settings[platform] || {};
-        platformFields[platform].forEach(field => {
-            const key = `${platform}_${field}`;
-            flatSettings[key] = platformSettings[field] || '';
-        });
-    });
+        res.json({ success: true, health: getHealthStatus(userId) });
+    } catch (error) {
+        console.error('Error loading credential checks:', error);
+        res.status(500).json({ success: false, error: 'Failed to load credential checks' });
+    }
+});
 
-    return flatSettings;
-}
+/**
+ * POST /api/settings/accounts/:id/test
+ * Check an account's saved credentials against the platform's API without posting
+ */
+router.post('/accounts/:id/test', requireAuth, async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const account = AccountModel.findForUser(req.params.id, userId);
+        const platform = account && getPlatform(account.platform);
+
+        if (!platform) {
+            return res.status(404).json({ success: false, error: 'Account not found' });
+        }
+
+        if (!platform.verify) {
+            return res.status(400).json({ success: false, error: `${platform.name} doesn't support connection tests` });
+        }
+
+        if (!isConfigured(platform, flattenAccountSettings(account))) {
+            return res.status(400).json({ success: false, error: `Save your ${platform.name} settings first` });
+        }
+
+        const result = await checkAccountHealth(userId, account.id);
+
+        res.json({ success: true, result });
+    } catch (error) {
+        console.error('Error testing connection:', error);
+        res.status(500).json({ success: false, error: 'Failed to test connection' });
+    }
+});
 
 /**
- * Check if a platform is configured for a user
+ * POST /api/settings/:platform/test
+ * Check every configured account of a platform (kept from before accounts
+ * existed). `result` is the first account's check, `results` has them all
+ * keyed by account id.
  */
-export function isPlatformConfigured(userId, platform) {
-    const settings = SettingsModel.getForPlatform(userId, platform);
-    if (!settings) return false;
+router.post('/:platform/test', requireAuth, async (req, res) => {
+    try {
+        const userId = getCurrentUserId(req);
+        const platform = getPlatform(req.params.platform);
+
+        if (!platform) {
+            return res.status(404).json({ success: false, error: `Unknown platform: ${req.params.platform}` });
+        }
+
+        if (!platform.verify) {
+            return res.status(400).json({ success: false, error: `${platform.name} doesn't support connection tests` });
+        }
+
+        const accounts = AccountModel.getAllForUser(userId).filter(account => account.platform === platform.id
+            && isConfigured(platform, flattenAccountSettings(account)));
+
+        if (accounts.length === 0) {
+            return res.status(400).json({ success: false, error: `Save your ${platform.name} settings first` });
+        }
+
+        const results = {};
+        for (const account of accounts) {
+            results[account.id] = await checkAccountHealth(userId, account.id);
+        }
+
+        res.json({ success: true, result: results[accounts[0].id], results });
+    } catch (error) {
+        console.error('Error testing connection:', error);
+        res.status(500).json({ success: false, error: 'Failed to test connection' });
+    }
+});
+
+/**
+ * Get the user's accounts for posting (internal use)
+ * @returns {Object[]} [{ id, platform, label, settings, locked }] with flat settings
+ */
+export function getAccountSettings(userId) {
+    if (!userId) {
+        return [];
+    }
 
-    // Check if required fields are present
-    const requiredFields = platformFields[platform] || [];
-    return requiredFields.every(field => settings[field] && settings[field].length > 0);
+    return AccountModel.getAllForUser(userId)
+        .filter(account => getPlatform(account.platform))
+        .map(toServiceAccount);
 }
 
 export default router;
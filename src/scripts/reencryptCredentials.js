@@ -0,0 +1,30 @@
+/**
+ * Encrypt stored platform credentials with the current CREDENTIALS_KEY
+ *
+ * Run once after setting CREDENTIALS_KEY, and after every rotation:
+ * move the old key to CREDENTIALS_KEY_PREVIOUS, set the new one, run
+ * `npm run reencrypt-credentials`, then drop the old key.
+ */
+import 'dotenv/config';
+import { initializeDatabase, AccountModel } from '../database/database.js';
+import { isEncryptionEnabled } from '../utils/credentialCipher.js';
+
+try {
+    if (!isEncryptionEnabled()) {
+        throw new Error('CREDENTIALS_KEY is not set (generate one with: openssl rand -base64 32)');
+    }
+
+    initializeDatabase();
+
+    const { total, updated, failed } = AccountModel.reencryptAll();
+    console.log(`🔐 Re-encrypted ${updated} of ${total} connected account(s); ${total - updated - failed.length} already used the current key`);
+
+    if (failed.length > 0) {
+        console.warn(`⚠️ ${failed.length} account(s) could not be decrypted and were left unchanged:`);
+        failed.forEach(({ id, error }) => console.warn(`   • ${id}: ${error}`));
+        process.exitCode = 1;
+    }
+} catch (error) {
+    console.error('❌ Re-encryption failed, nothing was changed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,331 @@
+import axios from 'axios';
+import fs from 'fs';
+
+const DEFAULT_SERVICE_URL = 'https://bsky.social';
+const VIDEO_SERVICE_URL = 'https://video.bsky.app';
+const MAX_IMAGE_SIZE = 1000000; // bytes, enforced by the PDS
+const MAX_ALT_TEXT_LENGTH = 2000;
+
+/**
+ * Log in with handle and app password
+ */
+async function createSession(config) {
+    const response = await axios.post(
+        `${config.serviceUrl}/xrpc/com.atproto.server.createSession`,
+        {
+            identifier: config.handle,
+            password: config.appPassword,
+        }
+    );
+
+    const session = response.data;
+
+    // Accounts may live on a different PDS than the login service
+    const pds = session.didDoc?.service?.find(s => s.id === '#atproto_pds')?.serviceEndpoint;
+
+    return {
+        did: session.did,
+        handle: session.handle,
+        accessJwt: session.accessJwt,
+        pdsUrl: (pds || config.serviceUrl).replace(/\/$/, ''),
+    };
+}
+
+/**
+ * Resolve a handle to a DID (used for mention facets)
+ */
+async function resolveHandle(handle, session) {
+    try {
+        const response = await axios.get(
+            `${session.pdsUrl}/xrpc/com.atproto.identity.resolveHandle`,
+            { params: { handle } }
+        );
+        return response.data.did;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert a UTF-16 string index to a UTF-8 byte offset
+ */
+function byteOffset(text, index) {
+    return Buffer.byteLength(text.slice(0, index), 'utf8');
+}
+
+/**
+ * Build rich-text facets for links, mentions and hashtags
+ * Facet ranges are UTF-8 byte offsets, as required by the AT Protocol
+ */
+export async function buildFacets(text, session) {
+    const facets = [];
+
+    const addFacet = (start, end, feature) => {
+        facets.push({
+            index: {
+                byteStart: byteOffset(text, start),
+                byteEnd: byteOffset(text, end),
+            },
+            features: [feature],
+        });
+    };
+
+    // Links
+    for (const match of text.matchAll(/https?:\/\/[^\s<>"]+[^\s<>".,;:!?)\]'"]/g)) {
+        addFacet(match.index, match.index + match[0].length, {
+            $type: 'app.bsky.richtext.facet#link',
+            uri: match[0],
+        });
+    }
+
+    // Mentions (@handle.domain)
+    for (const match of text.matchAll(/(^|\s)@(([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,})/g)) {
+        const did = await resolveHandle(match[2], session);
+        if (!did) continue;
+
+        const start = match.index + match[1].length;
+        addFacet(start, start + match[2].length + 1, {
+            $type: 'app.bsky.richtext.facet#mention',
+            did,
+        });
+    }
+
+    // Hashtags
+    for (const match of text.matchAll(/(^|\s)#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu)) {
+        if (match[2].length > 64) continue;
+
+        const start = match.index + match[1].length;
+        addFacet(start, start + match[2].length + 1, {
+            $type: 'app.bsky.richtext.facet#tag',
+            tag: match[2],
+        });
+    }
+
+    return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+}
+
+/**
+ * Upload an image blob
+ */
+async function uploadImage(file, session) {
+    const fileSize = fs.statSync(file.path).size;
+    if (fileSize > MAX_IMAGE_SIZE) {
+        throw new Error(`Image ${file.originalname} exceeds Bluesky's 1MB limit`);
+    }
+
+    const response = await axios.post(
+        `${session.pdsUrl}/xrpc/com.atproto.repo.uploadBlob`,
+        fs.createReadStream(file.path),
+        {
+            headers: {
+                'Authorization': `Bearer ${session.accessJwt}`,
+                'Content-Type': file.mimetype,
+                'Content-Length': fileSize,
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+        }
+    );
+
+    return response.data.blob;
+}
+
+/**
+ * Wait for the video service to finish processing an upload
+ */
+async function waitForVideoJob(jobId, maxAttempts = 60) {
+    for (let i = 0; i < maxAttempts; i++) {
+        const response = await axios.get(
+            `${VIDEO_SERVICE_URL}/xrpc/app.bsky.video.getJobStatus`,
+            { params: { jobId } }
+        );
+
+        const job = response.data.jobStatus;
+
+        if (job.state === 'JOB_STATE_COMPLETED' && job.blob) {
+            return job.blob;
+        }
+
+        if (job.state === 'JOB_STATE_FAILED') {
+            throw new Error(`Video processing failed: ${job.error || job.message || 'Unknown error'}`);
+        }
+
+        // Wait 3 seconds before polling again
+        await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+
+    throw new Error('Video processing timed out');
+}
+
+/**
+ * Upload a video through the Bluesky video service
+ */
+async function uploadVideo(file, session) {
+    const fileSize = fs.statSync(file.path).size;
+
+    // Step 1: Get a service token allowing the video service to write to our PDS
+    const pdsHost = new URL(session.pdsUrl).host;
+    const authResponse = await axios.get(
+        `${session.pdsUrl}/xrpc/com.atproto.server.getServiceAuth`,
+        {
+            params: {
+                aud: `did:web:${pdsHost}`,
+                lxm: 'com.atproto.repo.uploadBlob',
+                exp: Math.floor(Date.now() / 1000) + 30 * 60,
+            },
+            headers: { 'Authorization': `Bearer ${session.accessJwt}` },
+        }
+    );
+
+    // Step 2: Upload the video
+    const uploadResponse = await axios.post(
+        `${VIDEO_SERVICE_URL}/xrpc/app.bsky.video.uploadVideo`,
+        fs.createReadStream(file.path),
+        {
+            params: {
+                did: session.did,
+                name: file.originalname || 'video.mp4',
+            },
+            headers: {
+                'Authorization': `Bearer ${authResponse.data.token}`,
+                'Content-Type': file.mimetype || 'video/mp4',
+                'Content-Length': fileSize,
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            // 409 means this exact video was uploaded before; its job is reused
+            validateStatus: status => (status >= 200 && status < 300) || status === 409,
+        }
+    );
+
+    const job = uploadResponse.data.jobStatus || uploadResponse.data;
+    if (!job.jobId) {
+        throw new Error(uploadResponse.data.message || 'Failed to upload video to Bluesky');
+    }
+
+    // Step 3: Wait for processing
+    return await waitForVideoJob(job.jobId);
+}
+
+/**
+ * Build the post embed for the attached media
+ */
+async function buildEmbed(files, mediaType, session) {
+    if (!files || files.length === 0) return undefined;
+
+    if (mediaType === 'video') {
+        const blob = await uploadVideo(files[0], session);
+        return {
+            $type: 'app.bsky.embed.video',
+            video: blob,
+            ...(files[0].altText ? { alt: files[0].altText.slice(0, MAX_ALT_TEXT_LENGTH) } : {}),
+        };
+    }
+
+    const images = [];
+    for (const file of files) {
+        const blob = await uploadImage(file, session);
+        images.push({
+            image: blob,
+            alt: (file.altText || '').slice(0, MAX_ALT_TEXT_LENGTH),
+        });
+    }
+
+    return {
+        $type: 'app.bsky.embed.images',
+        images,
+    };
+}
+
+/**
+ * Main posting function for Bluesky
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function postToBluesky(files, caption, mediaType, userSettings = {}) {
+    try {
+        const config = {
+            handle: (userSettings.bluesky_handle || '').replace(/^@/, ''),
+            appPassword: userSettings.bluesky_app_password,
+            serviceUrl: (userSettings.bluesky_service_url || DEFAULT_SERVICE_URL).replace(/\/$/, ''),
+        };
+
+        if (!config.handle || !config.appPassword) {
+            throw new Error('Bluesky credentials not configured');
+        }
+
+        const session = await createSession(config);
+        const text = caption || '';
+
+        const record = {
+            $type: 'app.bsky.feed.post',
+            text,
+            createdAt: new Date().toISOString(),
+        };
+
+        const facets = await buildFacets(text, session);
+        if (facets.length > 0) record.facets = facets;
+
+        const embed = await buildEmbed(files, mediaType, session);
+        if (embed) record.embed = embed;
+
+        const response = await axios.post(
+            `${session.pdsUrl}/xrpc/com.atproto.repo.createRecord`,
+            {
+                repo: session.did,
+                collection: 'app.bsky.feed.post',
+                record,
+            },
+            {
+                headers: { 'Authorization': `Bearer ${session.accessJwt}` },
+            }
+        );
+
+        const uri = response.data.uri;
+        const rkey = uri.split('/').pop();
+
+        return {
+            success: true,
+            platform: 'bluesky',
+            postId: uri,
+            url: `https://bsky.app/profile/${session.handle}/post/${rkey}`,
+            message: 'Successfully posted to Bluesky',
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.message || error.response?.data?.error || error.message;
+        console.error('Bluesky posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'bluesky',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'bluesky',
+    name: 'Bluesky',
+    color: '#1185fe',
+    icon: 'M5.2 2.9C7.9 5 10.8 9.1 12 11.4c1.2-2.3 4.1-6.4 6.8-8.5 2-1.5 5.2-2.6 5.2 1 0 .7-.4 6.1-.7 7-.9 3.1-4.1 3.9-6.9 3.4 4.9.8 6.2 3.6 3.5 6.4-5.1 5.2-7.3-1.3-7.9-3-.1-.3-.1-.5-.1-.3 0-.2 0 0-.1.3-.6 1.7-2.8 8.2-7.9 3-2.7-2.8-1.4-5.6 3.5-6.4-2.8.5-6-.3-6.9-3.4C.4 10 0 4.6 0 3.9c0-3.6 3.2-2.5 5.2-1z',
+    fields: [
+        { name: 'handle', label: 'Handle', type: 'text', placeholder: 'yourname.bsky.social', required: true },
+        { name: 'app_password', label: 'App Password', type: 'password', placeholder: 'xxxx-xxxx-xxxx-xxxx', required: true },
+        { name: 'service_url', label: 'Service URL (optional)', type: 'text', placeholder: DEFAULT_SERVICE_URL },
+    ],
+    mediaTypes: ['photo', 'video', 'text'],
+    limits: {
+        maxPhotos: 4,
+        maxVideos: 1,
+        maxPhotoSize: MAX_IMAGE_SIZE,
+        maxCaptionGraphemes: 300,
+    },
+    publish: postToBluesky,
+};
+
+export default { postToBluesky, adapter };
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs';
+
+const MAX_ALT_TEXT_LENGTH = 1024;
+
+/**
+ * Post caption and attachments to a Discord webhook
+ * wait=true makes Discord return the created message
+ */
+async function sendWebhookMessage(files, caption, config) {
+    const form = new FormData();
+
+    const payload = {
+        content: caption || '',
+        ...(config.username ? { username: config.username } : {}),
+        ...(config.avatarUrl ? { avatar_url: config.avatarUrl } : {}),
+        attachments: files.map((file, index) => ({
+            id: index,
+            filename: file.originalname,
+            ...(file.altText ? { description: file.altText.slice(0, MAX_ALT_TEXT_LENGTH) } : {}),
+        })),
+    };
+    form.append('payload_json', JSON.stringify(payload));
+
+    files.forEach((file, index) => {
+        form.append(`files[${index}]`, fs.createReadStream(file.path), {
+            filename: file.originalname,
+            contentType: file.mimetype,
+        });
+    });
+
+    const response = await axios.post(config.webhookUrl, form, {
+        params: {
+            wait: true,
+            ...(config.threadId ? { thread_id: config.threadId } : {}),
+        },
+        headers: form.getHeaders(),
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+    });
+
+    return response.data;
+}
+
+/**
+ * Main posting function for Discord
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video', 'mixed' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function postToDiscord(files, caption, mediaType, userSettings = {}) {
+    try {
+        const config = {
+            webhookUrl: userSettings.discord_webhook_url,
+            username: userSettings.discord_username,
+            avatarUrl: userSettings.discord_avatar_url,
+            threadId: userSettings.discord_thread_id,
+        };
+
+        if (!config.webhookUrl) {
+            throw new Error('Discord webhook URL not configured');
+        }
+
+        if (!/^https:\/\/(\w+\.)?(discord|discordapp)\.com\/api\/webhooks\//.test(config.webhookUrl)) {
+            throw new Error('Invalid Discord webhook URL');
+        }
+
+        const message = await sendWebhookMessage(files, caption, config);
+
+        return {
+            success: true,
+            platform: 'discord',
+            postId: message.id,
+            message: 'Successfully posted to Discord',
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.message || error.message;
+        console.error('Discord posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'discord',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'discord',
+    name: 'Discord',
+    color: '#5865f2',
+    icon: 'M20.317 4.37a19.791 19.791 0 0 0-4.885-1.515.074.074 0 0 0-.079.037c-.21.375-.444.864-.608 1.25a18.27 18.27 0 0 0-5.487 0 12.64 12.64 0 0 0-.617-1.25.077.077 0 0 0-.079-.037A19.736 19.736 0 0 0 3.677 4.37a.07.07 0 0 0-.032.027C.533 9.046-.32 13.58.099 18.057a.082.082 0 0 0 .031.057 19.9 19.9 0 0 0 5.993 3.03.078.078 0 0 0 .084-.028c.462-.63.874-1.295 1.226-1.994a.076.076 0 0 0-.041-.106 13.107 13.107 0 0 1-1.872-.892.077.077 0 0 1-.008-.128 10.2 10.2 0 0 0 .372-.292.074.074 0 0 1 .077-.01c3.928 1.793 8.18 1.793 12.062 0a.074.074 0 0 1 .078.01c.12.098.246.198.373.292a.077.077 0 0 1-.006.127 12.299 12.299 0 0 1-1.873.892.077.077 0 0 0-.041.107c.36.698.772 1.362 1.225 1.993a.076.076 0 0 0 .084.028 19.839 19.839 0 0 0 6.002-3.03.077.077 0 0 0 .032-.054c.5-5.177-.838-9.674-3.549-13.66a.061.061 0 0 0-.031-.03zM8.02 15.33c-1.183 0-2.157-1.085-2.157-2.419 0-1.333.956-2.419 2.157-2.419 1.21 0 2.176 1.096 2.157 2.42 0 1.333-.956 2.418-2.157 2.418zm7.975 0c-1.183 0-2.157-1.085-2.157-2.419 0-1.333.955-2.419 2.157-2.419 1.21 0 2.176 1.096 2.157 2.42 0 1.333-.946 2.418-2.157 2.418z',
+    fields: [
+        { name: 'webhook_url', label: 'Webhook URL', type: 'password', placeholder: 'https://discord.com/api/webhooks/...', required: true },
+        { name: 'username', label: 'Display Name (optional)', type: 'text', placeholder: 'Media Poster' },
+        { name: 'avatar_url', label: 'Avatar URL (optional)', type: 'text', placeholder: 'https://example.com/avatar.png' },
+        { name: 'thread_id', label: 'Thread ID (optional)', type: 'text', placeholder: 'Post into a forum or thread' },
+    ],
+    mediaTypes: ['photo', 'video', 'mixed', 'text'],
+    limits: {
+        maxPhotos: 10,
+        maxVideos: 10,
+        maxPhotoSize: 10 * 1024 * 1024,
+        maxVideoSize: 10 * 1024 * 1024, // Unboosted servers accept 10MB per file
+        maxCaptionLength: 2000,
+    },
+    publish: postToDiscord,
+};
+
+export default { postToDiscord, adapter };
@@ -1,9 +1,51 @@
 import axios from 'axios';
 import FormData from 'form-data';
 import fs from 'fs';
+import { inspectMetaToken, postMetaComment } from './metaConnect.js';
+import { getMediaType } from '../utils/mediaHelper.js';
 
 const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
 const GRAPH_VIDEO_URL = 'https://graph-video.facebook.com/v19.0';
+const REELS_UPLOAD_URL = 'https://rupload.facebook.com/video-upload/v19.0';
+
+const MAX_CHUNK_ATTEMPTS = 3;
+
+/**
+ * Run an upload step, retrying with a growing delay when it fails
+ */
+async function withRetry(step, attempts = MAX_CHUNK_ATTEMPTS) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await step();
+        } catch (error) {
+            // Client errors (bad token, bad params) won't succeed on retry
+            const status = error.response?.status;
+            if (attempt >= attempts || (status >= 400 && status < 500)) {
+                throw error;
+            }
+            console.warn(`Facebook upload step failed (attempt ${attempt}), retrying:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+        }
+    }
+}
+
+/**
+ * Post text to the Page feed; the first URL in the text becomes the link preview
+ */
+async function postText(caption, config) {
+    const link = (caption || '').match(/https?:\/\/[^\s]+/)?.[0];
+
+    const response = await axios.post(
+        `${GRAPH_API_URL}/${config.pageId}/feed`,
+        {
+            message: caption || '',
+            ...(link ? { link } : {}),
+            access_token: config.accessToken,
+        }
+    );
+
+    return response.data;
+}
 
 /**
  * Post a single photo to Facebook Page
@@ -42,9 +84,11 @@ async function uploadUnpublishedPhoto(filePath, config) {
 }
 
 /**
- * Post multiple photos as an album to Facebook Page
+ * Post multiple photos as one Facebook Page post
+ * attached_media only takes unpublished photos, so albums can't hold videos
+ * (checkFacebookPost rejects those before anything is uploaded).
  */
-async function postMultiplePhotos(files, caption, config) {
+async function postMultipleMedia(files, caption, config) {
     // Upload each photo as unpublished
     const mediaIds = await Promise.all(
         files.map(file => uploadUnpublishedPhoto(file.path, config))
@@ -66,12 +110,17 @@ async function postMultiplePhotos(files, caption, config) {
 }
 
 /**
- * Post a video to Facebook Page
+ * Send one phase of the resumable video upload protocol
  */
-async function postVideo(filePath, caption, config) {
+async function videoUploadPhase(fields, config) {
     const form = new FormData();
-    form.append('source', fs.createReadStream(filePath));
-    if (caption) form.append('description', caption);
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value && value.stream) {
+            form.append(key, value.stream, value.options);
+        } else if (value !== undefined && value !== '') {
+            form.append(key, String(value));
+        }
+    });
     form.append('access_token', config.accessToken);
 
     const response = await axios.post(
@@ -87,14 +136,143 @@ async function postVideo(filePath, caption, config) {
     return response.data;
 }
 
+/**
+ * Post a video to Facebook Page with the resumable upload protocol:
+ * start, transfer each chunk Facebook asks for (retrying it on failure), finish
+ */
+async function postVideo(file, caption, config, { title, thumbnail } = {}) {
+    const fileSize = fs.statSync(file.path).size;
+
+    // Step 1: Start the upload session
+    const session = await videoUploadPhase({
+        upload_phase: 'start',
+        file_size: fileSize,
+    }, config);
+
+    // Step 2: Transfer chunks until Facebook reports nothing left
+    let startOffset = Number(session.start_offset);
+    let endOffset = Number(session.end_offset);
+
+    while (startOffset < endOffset) {
+        const chunkStart = startOffset;
+        const chunkEnd = endOffset;
+
+        const transfer = await withRetry(() => videoUploadPhase({
+            upload_phase: 'transfer',
+            upload_session_id: session.upload_session_id,
+            start_offset: chunkStart,
+            video_file_chunk: {
+                stream: fs.createReadStream(file.path, { start: chunkStart, end: chunkEnd - 1 }),
+                options: { filename: file.originalname || 'video.mp4', knownLength: chunkEnd - chunkStart },
+            },
+        }, config));
+
+        startOffset = Number(transfer.start_offset);
+        endOffset = Number(transfer.end_offset);
+    }
+
+    // Step 3: Finish, with the post details
+    await videoUploadPhase({
+        upload_phase: 'finish',
+        upload_session_id: session.upload_session_id,
+        title,
+        description: caption || '',
+        ...(thumbnail ? {
+            thumb: {
+                stream: fs.createReadStream(thumbnail.path),
+                options: { filename: thumbnail.originalname, contentType: thumbnail.mimetype },
+            },
+        } : {}),
+    }, config);
+
+    return { id: session.video_id };
+}
+
+/**
+ * Bytes of a Reel upload that Facebook has received so far
+ */
+async function getReelUploadOffset(uploadUrl, config) {
+    const response = await axios.get(uploadUrl, {
+        headers: { 'Authorization': `OAuth ${config.accessToken}` },
+    });
+
+    return Number(response.data.status?.uploading_phase?.bytes_transferred || 0);
+}
+
+/**
+ * Post a video to the Page as a Reel: start, upload the bytes
+ * (resuming from the offset Facebook has on failure), then publish
+ */
+async function postReel(file, caption, config) {
+    const fileSize = fs.statSync(file.path).size;
+
+    // Step 1: Start the upload session
+    const startResponse = await axios.post(
+        `${GRAPH_API_URL}/${config.pageId}/video_reels`,
+        {
+            upload_phase: 'start',
+            access_token: config.accessToken,
+        }
+    );
+    const videoId = startResponse.data.video_id;
+    const uploadUrl = `${REELS_UPLOAD_URL}/${videoId}`;
+
+    // Step 2: Upload; after a failure, resume from the bytes Facebook already has
+    let attempt = 0;
+    await withRetry(async () => {
+        const offset = attempt++ === 0 ? 0 : await getReelUploadOffset(uploadUrl, config);
+
+        await axios.post(uploadUrl, fs.createReadStream(file.path, { start: offset }), {
+            headers: {
+                'Authorization': `OAuth ${config.accessToken}`,
+                'offset': offset,
+                'file_size': fileSize,
+                'Content-Length': fileSize - offset,
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+        });
+    });
+
+    // Step 3: Publish the Reel
+    await axios.post(
+        `${GRAPH_API_URL}/${config.pageId}/video_reels`,
+        {
+            upload_phase: 'finish',
+            video_id: videoId,
+            video_state: 'PUBLISHED',
+            description: caption || '',
+            access_token: config.accessToken,
+        }
+    );
+
+    return { id: videoId };
+}
+
+/**
+ * Mixed posts are only possible as one video with its photo thumbnail;
+ * the Graph API doesn't accept videos as album items
+ * @returns {string|null} Error message, or null if the post is supported
+ */
+function checkFacebookPost({ files, mediaType, options }) {
+    if (mediaType !== 'mixed') return null;
+
+    const videos = files.filter(file => getMediaType(file) === 'video');
+    if (options.video_thumbnail && videos.length === 1 && files.length === 2) return null;
+
+    return 'Facebook albums can only contain photos (post videos on their own, or one video with "Use the photo as the video thumbnail")';
+}
+
 /**
  * Main posting function for Facebook
  * @param {Object[]} files - Array of uploaded files
  * @param {string} caption - Post caption
- * @param {string} mediaType - 'photo' or 'video'
+ * @param {string} mediaType - 'photo', 'video', 'mixed' or 'text'
  * @param {Object} userSettings - User's platform credentials
+ * @param {Object} options - Per-post Facebook options (publish_as, video_title, video_thumbnail,
+ *                           first_comment)
  */
-export async function postToFacebook(files, caption, mediaType, userSettings = {}) {
+export async function postToFacebook(files, caption, mediaType, userSettings = {}, options = {}) {
     try {
         const config = {
             pageId: userSettings.facebook_page_id,
@@ -105,21 +283,46 @@ export async function postToFacebook(files, caption, mediaType, userSettings = {
             throw new Error('Facebook credentials not configured');
         }
 
+        const videos = files.filter(file => file.mediaType === 'video');
+        const photos = files.filter(file => file.mediaType !== 'video');
+        const isReel = options.publish_as === 'reel';
+
+        // One video plus one photo can post as a video with that photo as its thumbnail
+        const thumbnail = options.video_thumbnail && videos.length === 1 && photos.length === 1
+            ? photos[0]
+            : null;
+
         let result;
 
-        if (mediaType === 'video') {
-            result = await postVideo(files[0].path, caption, config);
-        } else if (files.length === 1) {
-            result = await postSinglePhoto(files[0].path, caption, config);
+        if (isReel) {
+            if (files.length !== 1 || videos.length !== 1) {
+                throw new Error('Facebook Reels need exactly one video (custom thumbnails are not supported)');
+            }
+            result = await postReel(files[0], caption, config);
+        } else if (files.length === 0) {
+            result = await postText(caption, config);
+        } else if (thumbnail) {
+            result = await postVideo(videos[0], caption, config, { title: options.video_title, thumbnail });
+        } else if (files.length > 1) {
+            result = await postMultipleMedia(files, caption, config);
+        } else if (mediaType === 'video') {
+            result = await postVideo(files[0], caption, config, { title: options.video_title });
         } else {
-            result = await postMultiplePhotos(files, caption, config);
+            result = await postSinglePhoto(files[0].path, caption, config);
         }
 
+        // Photo uploads return both a photo ID and the feed post ID; comment on the post
+        const postId = result.post_id || result.id;
+        const firstComment = options.first_comment
+            ? await postMetaComment(postId, options.first_comment, config.accessToken, 'Facebook')
+            : undefined;
+
         return {
             success: true,
             platform: 'facebook',
-            postId: result.id || result.post_id,
-            message: 'Successfully posted to Facebook',
+            postId,
+            message: isReel ? 'Successfully posted Reel to Facebook' : 'Successfully posted to Facebook',
+            ...(firstComment ? { firstComment } : {}),
         };
     } catch (error) {
         const errorMessage = error.response?.data?.error?.message || error.message;
@@ -133,4 +336,86 @@ export async function postToFacebook(files, caption, mediaType, userSettings = {
     }
 }
 
-export default { postToFacebook };
+/**
+ * Check the saved Page credentials without posting
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function verifyFacebook(userSettings = {}) {
+    try {
+        const pageId = userSettings.facebook_page_id;
+        const accessToken = userSettings.facebook_access_token;
+
+        if (!pageId || !accessToken) {
+            throw new Error('Facebook credentials not configured');
+        }
+
+        const [me, page] = await Promise.all([
+            axios.get(`${GRAPH_API_URL}/me`, { params: { fields: 'id,name', access_token: accessToken } }),
+            axios.get(`${GRAPH_API_URL}/${pageId}`, { params: { fields: 'id,name,link', access_token: accessToken } }),
+        ]);
+
+        // Permissions are informational; some tokens can't inspect themselves
+        const token = await inspectMetaToken(accessToken).catch(() => ({}));
+
+        return {
+            valid: true,
+            platform: 'facebook',
+            account: page.data.name,
+            url: page.data.link,
+            permissions: token.permissions || null,
+            expiresAt: token.expiresAt ?? null,
+            // A Page token answers /me as the Page itself
+            ...(me.data.id !== page.data.id
+                ? { warning: `This is ${me.data.name}'s user token, not a Page token` }
+                : {}),
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+
+        return {
+            valid: false,
+            platform: 'facebook',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'facebook',
+    name: 'Facebook',
+    color: '#1877f2',
+    icon: 'M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z',
+    connect: { provider: 'meta', label: 'Connect with Facebook' },
+    fields: [
+        { name: 'page_id', label: 'Page ID', type: 'text', placeholder: '123456789012345', required: true },
+        { name: 'access_token', label: 'Page Access Token', type: 'password', placeholder: 'EAAxxxxxxxxx...', required: true },
+    ],
+    postOptions: [
+        {
+            name: 'publish_as',
+            label: 'Post videos as',
+            type: 'select',
+            options: [
+                { value: '', label: 'Page video' },
+                { value: 'reel', label: 'Reel' },
+            ],
+        },
+        { name: 'video_title', label: 'Video title (optional)', type: 'text', placeholder: 'Shown above the video' },
+        { name: 'video_thumbnail', label: 'Use the photo as the video thumbnail (1 video + 1 photo)', type: 'checkbox' },
+        { name: 'first_comment', label: 'First comment (optional)', type: 'text', placeholder: '#hashtags or a link' },
+    ],
+    mediaTypes: ['photo', 'video', 'mixed', 'text'],
+    limits: {
+        maxPhotos: 10,
+        maxVideos: 1,
+        maxCaptionLength: 63206,
+    },
+    publish: postToFacebook,
+    checkPost: checkFacebookPost,
+    verify: verifyFacebook,
+};
+
+export default { postToFacebook, verifyFacebook, adapter };
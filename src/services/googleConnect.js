@@ -0,0 +1,125 @@
+import axios from 'axios';
+
+const GOOGLE_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Upload-only access to the user's YouTube channel
+const GOOGLE_SCOPES = ['https://www.googleapis.com/auth/youtube.upload'];
+
+/**
+ * App credentials and callback URL from the environment
+ */
+function getGoogleConfig() {
+    const clientId = process.env.GOOGLE_CLIENT_ID;
+    const clientSecret = process.env.GOOGLE_CLIENT_SECRET;
+    const baseUrl = process.env.PUBLIC_URL;
+
+    if (!clientId || !clientSecret || !baseUrl) {
+        throw new Error('Google connect requires GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and PUBLIC_URL to be set');
+    }
+
+    return {
+        clientId,
+        clientSecret,
+        redirectUri: `${baseUrl.replace(/\/$/, '')}/api/connect/google/callback`,
+    };
+}
+
+/**
+ * Client credentials used to refresh a YouTube token: the user's own
+ * OAuth client when they pasted one in settings, otherwise the app's
+ * @param {Object} settings - The user's YouTube settings
+ * @returns {{clientId: string, clientSecret: string}|null}
+ */
+export function getGoogleClient(settings = {}) {
+    if (settings.client_id && settings.client_secret) {
+        return { clientId: settings.client_id, clientSecret: settings.client_secret };
+    }
+
+    if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+        return { clientId: process.env.GOOGLE_CLIENT_ID, clientSecret: process.env.GOOGLE_CLIENT_SECRET };
+    }
+
+    return null;
+}
+
+/**
+ * URL of the Google consent screen
+ * prompt=consent makes Google issue a refresh token on every connect.
+ * @param {string} state - Random value checked again in the callback
+ */
+export function getGoogleAuthUrl(state) {
+    const config = getGoogleConfig();
+
+    const params = new URLSearchParams({
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        state,
+        scope: GOOGLE_SCOPES.join(' '),
+        response_type: 'code',
+        access_type: 'offline',
+        prompt: 'consent',
+        include_granted_scopes: 'true',
+    });
+
+    return `${GOOGLE_AUTH_URL}?${params}`;
+}
+
+/**
+ * Call the token endpoint with form-encoded parameters
+ */
+async function requestToken(params) {
+    const response = await axios.post(
+        GOOGLE_TOKEN_URL,
+        new URLSearchParams(params).toString(),
+        {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        }
+    );
+
+    const data = response.data;
+
+    return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token,
+        expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+        scope: data.scope,
+    };
+}
+
+/**
+ * Exchange the callback code for access and refresh tokens
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: number|null, scope: string}>}
+ */
+export async function exchangeGoogleCode(code) {
+    const config = getGoogleConfig();
+
+    return await requestToken({
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        redirect_uri: config.redirectUri,
+        code,
+        grant_type: 'authorization_code',
+    });
+}
+
+/**
+ * Get a new (one hour) access token from a refresh token
+ * Google keeps the refresh token, so refreshToken is usually undefined here.
+ * @param {string} refreshToken
+ * @param {{clientId: string, clientSecret: string}} client - From getGoogleClient()
+ */
+export async function refreshGoogleToken(refreshToken, client) {
+    if (!client) {
+        throw new Error('No Google OAuth client configured');
+    }
+
+    return await requestToken({
+        client_id: client.clientId,
+        client_secret: client.clientSecret,
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token',
+    });
+}
+
+export default { getGoogleClient, getGoogleAuthUrl, exchangeGoogleCode, refreshGoogleToken };
@@ -0,0 +1,93 @@
+import { AccountModel, HealthCheckModel } from '../database/database.js';
+import { getPlatform, isConfigured, flattenAccountSettings } from './platforms.js';
+import { refreshTokens } from './tokenManager.js';
+
+// Background check interval in milliseconds (6 hours)
+const HEALTH_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+let healthCheckTimer = null;
+
+/**
+ * Verify one account's saved credentials and store the result
+ * @returns {Promise<Object>} { valid, account, permissions, expiresAt, error, checkedAt }
+ */
+export async function checkAccountHealth(userId, accountId) {
+    // Renew an expiring token first, so the check sees what a post would use
+    const reconnect = await refreshTokens(userId, [accountId]);
+
+    const account = AccountModel.findForUser(accountId, userId);
+    const platform = getPlatform(account.platform);
+
+    const result = reconnect[account.id]
+        ? { valid: false, platform: platform.id, needsReconnect: true, error: reconnect[account.id] }
+        : await platform.verify(flattenAccountSettings(account));
+
+    const checked = { ...result, checkedAt: new Date().toISOString() };
+    HealthCheckModel.upsert(account.id, userId, checked);
+
+    return checked;
+}
+
+/**
+ * Latest stored results for a user, keyed by account id
+ */
+export function getHealthStatus(userId) {
+    return HealthCheckModel.getAllForUser(userId);
+}
+
+/**
+ * Check every configured, testable account of every user
+ */
+async function runHealthCheckTick() {
+    try {
+        const userIds = AccountModel.getUserIds();
+        let failures = 0;
+
+        for (const userId of userIds) {
+            const accounts = AccountModel.getAllForUser(userId).filter(account => {
+                const platform = getPlatform(account.platform);
+                return platform?.verify && isConfigured(platform, flattenAccountSettings(account));
+            });
+
+            // One at a time, to stay well inside the platforms' rate limits
+            for (const account of accounts) {
+                const result = await checkAccountHealth(userId, account.id);
+                if (!result.valid) failures++;
+            }
+        }
+
+        if (failures > 0) {
+            console.log(`🩺 Credential check found ${failures} failing connection(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Credential check error:', error.message);
+    }
+}
+
+/**
+ * Start the periodic credential checks
+ */
+export function startHealthChecks() {
+    if (healthCheckTimer) {
+        console.log('⚠️ Credential checks already running');
+        return;
+    }
+
+    console.log('🩺 Starting credential checks (every 6 hours)...');
+
+    // Unlike the scheduler, wait for the first interval so restarts don't hit every API
+    healthCheckTimer = setInterval(runHealthCheckTick, HEALTH_CHECK_INTERVAL);
+}
+
+/**
+ * Stop the periodic credential checks
+ */
+export function stopHealthChecks() {
+    if (healthCheckTimer) {
+        clearInterval(healthCheckTimer);
+        healthCheckTimer = null;
+        console.log('🩺 Credential checks stopped');
+    }
+}
+
+export default { checkAccountHealth, getHealthStatus, startHealthChecks, stopHealthChecks };
@@ -1,31 +1,37 @@
 import axios from 'axios';
+import { getPublicMediaUrl } from '../utils/mediaHelper.js';
+import { inspectMetaToken, postMetaComment } from './metaConnect.js';
 
 const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
 
 /**
  * Wait for a media container to finish processing
- * Instagram requires polling for video/carousel containers
+ * Instagram requires polling for video/carousel containers. Threads uses the
+ * same container flow on its own host, reporting "status" and "error_message".
  */
-async function waitForMediaReady(containerId, accessToken, maxAttempts = 60) {
+export async function waitForMediaReady(containerId, accessToken, maxAttempts = 60, {
+    apiUrl = GRAPH_API_URL,
+    fields = 'status_code,status',
+} = {}) {
     for (let i = 0; i < maxAttempts; i++) {
         const response = await axios.get(
-            `${GRAPH_API_URL}/${containerId}`,
+            `${apiUrl}/${containerId}`,
             {
                 params: {
-                    fields: 'status_code,status',
+                    fields,
                     access_token: accessToken,
                 },
             }
         );
 
-        const statusCode = response.data.status_code;
+        const statusCode = response.data.status_code || response.data.status;
 
         if (statusCode === 'FINISHED') {
             return true;
         }
 
-        if (statusCode === 'ERROR') {
-            throw new Error(`Media processing failed: ${response.data.status || 'Unknown error'}`);
+        if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+            throw new Error(`Media processing failed: ${response.data.error_message || response.data.status || 'Unknown error'}`);
         }
 
         // Wait 5 seconds before polling again
@@ -100,24 +106,49 @@ async function postVideo(publicUrl, caption, config) {
 }
 
 /**
- * Post multiple photos as a carousel to Instagram
+ * Wrap a failure of one carousel child so the error says which file it was
  */
-async function postCarousel(publicUrls, caption, config) {
-    // Step 1: Create individual item containers (no caption on items)
+function carouselItemError(index, file, error) {
+    const reason = error.response?.data?.error?.message || error.message;
+    return new Error(`Carousel item ${index + 1} (${file.originalname}) failed: ${reason}`);
+}
+
+/**
+ * Post multiple photos and/or videos as a carousel to Instagram
+ */
+async function postCarousel(files, caption, config) {
+    // Step 1: Create every item container first (no caption on items),
+    // so videos process in parallel
     const itemIds = [];
-    for (const url of publicUrls) {
-        const response = await axios.post(
-            `${GRAPH_API_URL}/${config.accountId}/media`,
-            {
-                image_url: url,
-                is_carousel_item: true,
-                access_token: config.accessToken,
-            }
-        );
-        itemIds.push(response.data.id);
+    for (const [index, file] of files.entries()) {
+        try {
+            const publicUrl = getPublicMediaUrl(file.path);
+            const response = await axios.post(
+                `${GRAPH_API_URL}/${config.accountId}/media`,
+                {
+                    ...(file.mediaType === 'video'
+                        ? { media_type: 'VIDEO', video_url: publicUrl }
+                        : { image_url: publicUrl }),
+                    is_carousel_item: true,
+                    access_token: config.accessToken,
+                }
+            );
+            itemIds.push(response.data.id);
+        } catch (error) {
+            throw carouselItemError(index, file, error);
+        }
+    }
+
+    // Step 2: Every item must finish processing before the carousel is created
+    for (const [index, itemId] of itemIds.entries()) {
+        try {
+            await waitForMediaReady(itemId, config.accessToken);
+        } catch (error) {
+            throw carouselItemError(index, files[index], error);
+        }
     }
 
-    // Step 2: Create carousel container
+    // Step 3: Create carousel container
     const carouselResponse = await axios.post(
         `${GRAPH_API_URL}/${config.accountId}/media`,
         {
@@ -130,40 +161,79 @@ async function postCarousel(publicUrls, caption, config) {
 
     const carouselId = carouselResponse.data.id;
 
-    // Step 3: Wait for carousel processing
+    // Step 4: Wait for carousel processing
     await waitForMediaReady(carouselId, config.accessToken);
 
-    // Step 4: Publish the carousel
+    // Step 5: Publish the carousel
     return await publishMedia(carouselId, config);
 }
 
 /**
- * Build a public URL for a locally uploaded file.
- * Requires PUBLIC_URL env var or a deployed server.
+ * Post one photo or video as an Instagram Story
+ * Stories don't show captions, so none is sent
  */
-function getPublicUrl(filePath) {
-    const baseUrl = process.env.PUBLIC_URL;
-    if (!baseUrl) {
-        throw new Error(
-            'Instagram requires PUBLIC_URL environment variable to be set. ' +
-            'Set it to your server\'s public URL (e.g., https://your-app.railway.app) ' +
-            'or use ngrok for local testing.'
-        );
+async function postStory(file, config) {
+    const publicUrl = getPublicMediaUrl(file.path);
+
+    // Step 1: Create story container
+    const containerResponse = await axios.post(
+        `${GRAPH_API_URL}/${config.accountId}/media`,
+        {
+            media_type: 'STORIES',
+            ...(file.mediaType === 'video' ? { video_url: publicUrl } : { image_url: publicUrl }),
+            access_token: config.accessToken,
+        }
+    );
+
+    const containerId = containerResponse.data.id;
+
+    // Step 2: Wait for media processing to finish
+    await waitForMediaReady(containerId, config.accessToken);
+
+    // Step 3: Publish the container
+    return await publishMedia(containerId, config);
+}
+
+/**
+ * Post every file as its own Story, in order; one failing item
+ * doesn't stop the rest
+ */
+async function postStories(files, config) {
+    const items = [];
+
+    for (const file of files) {
+        const item = {
+            name: file.originalname,
+            mediaType: file.mediaType,
+            placement: 'story',
+        };
+
+        try {
+            const result = await postStory(file, config);
+            item.success = true;
+            item.postId = result.id;
+        } catch (error) {
+            item.success = false;
+            item.error = error.response?.data?.error?.message || error.message;
+            console.error(`Instagram story error (${file.originalname}):`, item.error);
+        }
+
+        items.push(item);
     }
 
-    // Extract filename from file path
-    const filename = filePath.split('/').pop().split('\\').pop();
-    return `${baseUrl.replace(/\/$/, '')}/uploads/${filename}`;
+    return items;
 }
 
 /**
  * Main posting function for Instagram
  * @param {Object[]} files - Array of uploaded files
  * @param {string} caption - Post caption
- * @param {string} mediaType - 'photo' or 'video'
+ * @param {string} mediaType - 'photo', 'video' or 'mixed'
  * @param {Object} userSettings - User's platform credentials
+ * @param {Object} options - Per-post Instagram options (placement: 'feed' or 'story',
+ *                           first_comment)
  */
-export async function postToInstagram(files, caption, mediaType, userSettings = {}) {
+export async function postToInstagram(files, caption, mediaType, userSettings = {}, options = {}) {
     try {
         const config = {
             accountId: userSettings.instagram_account_id,
@@ -174,24 +244,52 @@ export async function postToInstagram(files, caption, mediaType, userSettings =
             throw new Error('Instagram credentials not configured');
         }
 
+        if (options.placement === 'story') {
+            const items = await postStories(files, config);
+            const published = items.filter(item => item.success);
+            const failed = items.filter(item => !item.success);
+
+            return {
+                success: failed.length === 0,
+                platform: 'instagram',
+                placement: 'story',
+                postId: published[0]?.postId,
+                items,
+                message: items.length === 1
+                    ? 'Successfully posted story to Instagram'
+                    : `Posted ${published.length} of ${items.length} stories to Instagram`,
+                ...(failed.length > 0 ? {
+                    error: failed.map(item => `${item.name}: ${item.error}`).join('; '),
+                } : {}),
+                ...(options.first_comment ? {
+                    firstComment: { success: false, error: 'Stories do not accept comments' },
+                } : {}),
+            };
+        }
+
         let result;
 
-        if (mediaType === 'video') {
-            const publicUrl = getPublicUrl(files[0].path);
+        if (files.length > 1) {
+            result = await postCarousel(files, caption, config);
+        } else if (mediaType === 'video') {
+            const publicUrl = getPublicMediaUrl(files[0].path);
             result = await postVideo(publicUrl, caption, config);
-        } else if (files.length === 1) {
-            const publicUrl = getPublicUrl(files[0].path);
-            result = await postSinglePhoto(publicUrl, caption, config);
         } else {
-            const publicUrls = files.map(f => getPublicUrl(f.path));
-            result = await postCarousel(publicUrls, caption, config);
+            const publicUrl = getPublicMediaUrl(files[0].path);
+            result = await postSinglePhoto(publicUrl, caption, config);
         }
 
+        const firstComment = options.first_comment
+            ? await postMetaComment(result.id, options.first_comment, config.accessToken, 'Instagram')
+            : undefined;
+
         return {
             success: true,
             platform: 'instagram',
+            placement: 'feed',
             postId: result.id,
-            message: 'Successfully posted to Instagram',
+            message: 'Successfully posted to Instagram feed',
+            ...(firstComment ? { firstComment } : {}),
         };
     } catch (error) {
         const errorMessage = error.response?.data?.error?.message || error.message;
@@ -206,4 +304,81 @@ export async function postToInstagram(files, caption, mediaType, userSettings =
     }
 }
 
-export default { postToInstagram };
+/**
+ * Check the saved Instagram account credentials without posting
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function verifyInstagram(userSettings = {}) {
+    try {
+        const accountId = userSettings.instagram_account_id;
+        const accessToken = userSettings.instagram_access_token;
+
+        if (!accountId || !accessToken) {
+            throw new Error('Instagram credentials not configured');
+        }
+
+        const response = await axios.get(`${GRAPH_API_URL}/${accountId}`, {
+            params: {
+                fields: 'id,username,name',
+                access_token: accessToken,
+            },
+        });
+
+        // Permissions are informational; some tokens can't inspect themselves
+        const token = await inspectMetaToken(accessToken).catch(() => ({}));
+
+        return {
+            valid: true,
+            platform: 'instagram',
+            account: `@${response.data.username}`,
+            url: `https://www.instagram.com/${response.data.username}/`,
+            permissions: token.permissions || null,
+            expiresAt: token.expiresAt ?? null,
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+
+        return {
+            valid: false,
+            platform: 'instagram',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'instagram',
+    name: 'Instagram',
+    color: '#e4405f',
+    icon: 'M12 0C8.74 0 8.333.015 7.053.072 5.775.132 4.905.333 4.14.63c-.789.306-1.459.717-2.126 1.384S.935 3.35.63 4.14C.333 4.905.131 5.775.072 7.053.012 8.333 0 8.74 0 12s.015 3.667.072 4.947c.06 1.277.261 2.148.558 2.913.306.788.717 1.459 1.384 2.126.667.666 1.336 1.079 2.126 1.384.766.296 1.636.499 2.913.558C8.333 23.988 8.74 24 12 24s3.667-.015 4.947-.072c1.277-.06 2.148-.262 2.913-.558.788-.306 1.459-.718 2.126-1.384.666-.667 1.079-1.335 1.384-2.126.296-.765.499-1.636.558-2.913.06-1.28.072-1.687.072-4.947s-.015-3.667-.072-4.947c-.06-1.277-.262-2.149-.558-2.913-.306-.789-.718-1.459-1.384-2.126C21.319 1.347 20.651.935 19.86.63c-.765-.297-1.636-.499-2.913-.558C15.667.012 15.26 0 12 0zm0 5.838a6.162 6.162 0 1 0 0 12.324 6.162 6.162 0 0 0 0-12.324zM12 16c-2.21 0-4-1.79-4-4s1.79-4 4-4 4 1.79 4 4-1.79 4-4 4z',
+    connect: { provider: 'meta', label: 'Connect with Facebook' },
+    fields: [
+        { name: 'account_id', label: 'Account ID', type: 'text', placeholder: '17841234567890', required: true },
+        { name: 'access_token', label: 'Access Token', type: 'password', placeholder: 'IGQxxxxxxxxx...', required: true },
+    ],
+    postOptions: [
+        {
+            name: 'placement',
+            label: 'Placement',
+            type: 'select',
+            options: [
+                { value: 'feed', label: 'Feed (photo, Reel or carousel)' },
+                { value: 'story', label: 'Story (one story per file)' },
+            ],
+        },
+        { name: 'first_comment', label: 'First comment (optional)', type: 'text', placeholder: '#hashtags' },
+    ],
+    mediaTypes: ['photo', 'video', 'mixed'],
+    limits: {
+        maxPhotos: 10,
+        maxVideos: 10, // Several videos become a carousel
+        maxCaptionLength: 2200,
+    },
+    publish: postToInstagram,
+    verify: verifyInstagram,
+};
+
+export default { postToInstagram, verifyInstagram, adapter };
@@ -0,0 +1,304 @@
+import axios from 'axios';
+import fs from 'fs';
+
+const LINKEDIN_API_URL = 'https://api.linkedin.com';
+// LinkedIn retires each monthly API version about a year after release;
+// LINKEDIN_API_VERSION (YYYYMM) moves to a newer one without a code change
+const DEFAULT_LINKEDIN_VERSION = '202609';
+const MAX_ALT_TEXT_LENGTH = 4086;
+
+/**
+ * API version sent with every request
+ */
+function getLinkedInVersion() {
+    const version = (process.env.LINKEDIN_API_VERSION || '').trim();
+    if (!version) {
+        return DEFAULT_LINKEDIN_VERSION;
+    }
+
+    if (!/^\d{6}(\.\d{2})?$/.test(version)) {
+        throw new Error(`LINKEDIN_API_VERSION must look like YYYYMM (got "${version}")`);
+    }
+
+    return version;
+}
+
+/**
+ * Headers for the versioned LinkedIn REST API
+ */
+function apiHeaders(config) {
+    return {
+        'Authorization': `Bearer ${config.accessToken}`,
+        'LinkedIn-Version': getLinkedInVersion(),
+        'X-Restli-Protocol-Version': '2.0.0',
+    };
+}
+
+/**
+ * Resolve the author URN: the chosen organization, or the member behind the token
+ */
+async function getAuthorUrn(config) {
+    if (config.postAs === 'organization') {
+        if (!config.organizationId) {
+            throw new Error('LinkedIn organization ID not configured');
+        }
+        return config.organizationId.startsWith('urn:li:organization:')
+            ? config.organizationId
+            : `urn:li:organization:${config.organizationId}`;
+    }
+
+    // OpenID Connect userinfo returns the member ID as "sub"
+    const response = await axios.get(`${LINKEDIN_API_URL}/v2/userinfo`, {
+        headers: { 'Authorization': `Bearer ${config.accessToken}` },
+    });
+
+    return `urn:li:person:${response.data.sub}`;
+}
+
+/**
+ * Escape LinkedIn "little text" reserved characters, keeping hashtags as hashtags
+ */
+function formatCommentary(text) {
+    return (text || '')
+        .split(/(#[\p{L}\p{N}_]+)/u)
+        .map(part => {
+            if (/^#[\p{L}\p{N}_]+$/u.test(part)) {
+                return `{hashtag|\\#|${part.slice(1)}}`;
+            }
+            return part.replace(/[\\|{}@[\]()<>#*_~]/g, c => `\\${c}`);
+        })
+        .join('');
+}
+
+/**
+ * Register and upload an image, returning its image URN
+ */
+async function uploadImage(file, authorUrn, config) {
+    // Step 1: Register the upload
+    const initResponse = await axios.post(
+        `${LINKEDIN_API_URL}/rest/images?action=initializeUpload`,
+        { initializeUploadRequest: { owner: authorUrn } },
+        { headers: apiHeaders(config) }
+    );
+
+    const { uploadUrl, image } = initResponse.data.value;
+
+    // Step 2: Upload the binary
+    await axios.put(uploadUrl, fs.createReadStream(file.path), {
+        headers: {
+            'Authorization': `Bearer ${config.accessToken}`,
+            'Content-Type': file.mimetype,
+            'Content-Length': fs.statSync(file.path).size,
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+    });
+
+    return image;
+}
+
+/**
+ * Wait for an uploaded video to become available
+ */
+async function waitForVideoReady(videoUrn, config, maxAttempts = 60) {
+    for (let i = 0; i < maxAttempts; i++) {
+        const response = await axios.get(
+            `${LINKEDIN_API_URL}/rest/videos/${encodeURIComponent(videoUrn)}`,
+            { headers: apiHeaders(config) }
+        );
+
+        const status = response.data.status;
+
+        if (status === 'AVAILABLE') {
+            return true;
+        }
+
+        if (status === 'PROCESSING_FAILED') {
+            throw new Error(`Video processing failed: ${response.data.processingFailureReason || 'Unknown error'}`);
+        }
+
+        // Wait 5 seconds before polling again
+        await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
+    throw new Error('Video processing timed out');
+}
+
+/**
+ * Register, upload (in the parts LinkedIn asks for) and finalize a video
+ */
+async function uploadVideo(file, authorUrn, config) {
+    const fileSize = fs.statSync(file.path).size;
+
+    // Step 1: Register the upload
+    const initResponse = await axios.post(
+        `${LINKEDIN_API_URL}/rest/videos?action=initializeUpload`,
+        {
+            initializeUploadRequest: {
+                owner: authorUrn,
+                fileSizeBytes: fileSize,
+                uploadCaptions: false,
+                uploadThumbnail: false,
+            },
+        },
+        { headers: apiHeaders(config) }
+    );
+
+    const { video, uploadInstructions, uploadToken } = initResponse.data.value;
+
+    // Step 2: Upload each part, streamed from disk
+    const uploadedPartIds = [];
+    for (const instruction of uploadInstructions) {
+        const response = await axios.put(
+            instruction.uploadUrl,
+            fs.createReadStream(file.path, { start: instruction.firstByte, end: instruction.lastByte }),
+            {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Length': instruction.lastByte - instruction.firstByte + 1,
+                },
+                maxContentLength: Infinity,
+                maxBodyLength: Infinity,
+            }
+        );
+        uploadedPartIds.push(response.headers.etag);
+    }
+
+    // Step 3: Finalize
+    await axios.post(
+        `${LINKEDIN_API_URL}/rest/videos?action=finalizeUpload`,
+        {
+            finalizeUploadRequest: {
+                video,
+                uploadToken: uploadToken || '',
+                uploadedPartIds,
+            },
+        },
+        { headers: apiHeaders(config) }
+    );
+
+    // Step 4: Wait for processing
+    await waitForVideoReady(video, config);
+
+    return video;
+}
+
+/**
+ * Build the post content for the uploaded media
+ */
+async function buildContent(files, mediaType, authorUrn, config) {
+    if (!files || files.length === 0) return undefined;
+
+    if (mediaType === 'video') {
+        const videoUrn = await uploadVideo(files[0], authorUrn, config);
+        return { media: { id: videoUrn } };
+    }
+
+    const images = [];
+    for (const file of files) {
+        images.push({
+            id: await uploadImage(file, authorUrn, config),
+            ...(file.altText ? { altText: file.altText.slice(0, MAX_ALT_TEXT_LENGTH) } : {}),
+        });
+    }
+
+    return images.length === 1
+        ? { media: images[0] }
+        : { multiImage: { images } };
+}
+
+/**
+ * Main posting function for LinkedIn
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function postToLinkedIn(files, caption, mediaType, userSettings = {}) {
+    try {
+        const config = {
+            accessToken: userSettings.linkedin_access_token,
+            postAs: userSettings.linkedin_post_as === 'organization' ? 'organization' : 'member',
+            organizationId: (userSettings.linkedin_organization_id || '').trim(),
+        };
+
+        if (!config.accessToken) {
+            throw new Error('LinkedIn credentials not configured');
+        }
+
+        const authorUrn = await getAuthorUrn(config);
+        const content = await buildContent(files, mediaType, authorUrn, config);
+
+        const response = await axios.post(
+            `${LINKEDIN_API_URL}/rest/posts`,
+            {
+                author: authorUrn,
+                commentary: formatCommentary(caption),
+                visibility: 'PUBLIC',
+                distribution: {
+                    feedDistribution: 'MAIN_FEED',
+                    targetEntities: [],
+                    thirdPartyDistributionChannels: [],
+                },
+                ...(content ? { content } : {}),
+                lifecycleState: 'PUBLISHED',
+                isReshareDisabledByAuthor: false,
+            },
+            { headers: apiHeaders(config) }
+        );
+
+        // The new post URN is returned in a header, not the body
+        const postUrn = response.headers['x-restli-id'];
+
+        return {
+            success: true,
+            platform: 'linkedin',
+            postId: postUrn,
+            url: `https://www.linkedin.com/feed/update/${postUrn}/`,
+            message: config.postAs === 'organization'
+                ? 'Successfully posted to LinkedIn page'
+                : 'Successfully posted to LinkedIn',
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.message || error.message;
+        console.error('LinkedIn posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'linkedin',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    color: '#0a66c2',
+    icon: 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433a2.062 2.062 0 0 1-2.063-2.065 2.064 2.064 0 1 1 2.063 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z',
+    fields: [
+        { name: 'access_token', label: 'Access Token', type: 'password', placeholder: 'AQVxxxxxxxxx...', required: true },
+        {
+            name: 'post_as',
+            label: 'Post As',
+            type: 'select',
+            options: [
+                { value: 'member', label: 'Member (personal profile)' },
+                { value: 'organization', label: 'Organization (company page)' },
+            ],
+        },
+        { name: 'organization_id', label: 'Organization ID', type: 'text', placeholder: '12345678 or urn:li:organization:12345678' },
+    ],
+    mediaTypes: ['photo', 'video', 'text'],
+    limits: {
+        maxPhotos: 20,
+        maxVideos: 1,
+        maxCaptionLength: 3000,
+    },
+    publish: postToLinkedIn,
+};
+
+export default { postToLinkedIn, adapter };
@@ -0,0 +1,195 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+
+const MAX_ALT_TEXT_LENGTH = 1500;
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+
+/**
+ * Normalize the instance URL (accepts "mastodon.social" or a full URL)
+ */
+function normalizeInstanceUrl(instanceUrl) {
+    const url = instanceUrl.trim().replace(/\/+$/, '');
+    return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+/**
+ * Wait for asynchronous media processing to finish
+ * The media endpoint returns 206 (and url: null) while processing
+ */
+async function waitForMediaReady(mediaId, config, maxAttempts = 60) {
+    for (let i = 0; i < maxAttempts; i++) {
+        const response = await axios.get(
+            `${config.instanceUrl}/api/v1/media/${mediaId}`,
+            {
+                headers: { 'Authorization': `Bearer ${config.accessToken}` },
+                validateStatus: status => status === 200 || status === 206,
+            }
+        );
+
+        if (response.status === 200 && response.data.url) {
+            return response.data;
+        }
+
+        // Wait 2 seconds before polling again
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    throw new Error('Mastodon media processing timed out');
+}
+
+/**
+ * Upload a media attachment with alt text and focal point
+ */
+async function uploadMedia(file, config) {
+    const form = new FormData();
+    form.append('file', fs.createReadStream(file.path), {
+        filename: file.originalname,
+        contentType: file.mimetype,
+    });
+    if (file.altText) {
+        form.append('description', file.altText.slice(0, MAX_ALT_TEXT_LENGTH));
+    }
+    if (file.focus) {
+        form.append('focus', `${file.focus.x},${file.focus.y}`);
+    }
+
+    const response = await axios.post(
+        `${config.instanceUrl}/api/v2/media`,
+        form,
+        {
+            headers: {
+                ...form.getHeaders(),
+                'Authorization': `Bearer ${config.accessToken}`,
+            },
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+        }
+    );
+
+    // 202 Accepted means the server is still processing the file
+    if (response.status === 202 || !response.data.url) {
+        return await waitForMediaReady(response.data.id, config);
+    }
+
+    return response.data;
+}
+
+/**
+ * Publish a status with the uploaded attachments
+ */
+async function postStatus(mediaIds, caption, config, options) {
+    const response = await axios.post(
+        `${config.instanceUrl}/api/v1/statuses`,
+        {
+            status: caption || '',
+            media_ids: mediaIds,
+            visibility: config.visibility,
+            ...(options.content_warning ? { spoiler_text: options.content_warning, sensitive: true } : {}),
+            ...(config.language ? { language: config.language } : {}),
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${config.accessToken}`,
+                // Prevents duplicate statuses if the request is retried
+                'Idempotency-Key': uuidv4(),
+            },
+        }
+    );
+
+    return response.data;
+}
+
+/**
+ * Main posting function for Mastodon
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ * @param {Object} options - Per-post Mastodon options (visibility, content_warning)
+ */
+export async function postToMastodon(files, caption, mediaType, userSettings = {}, options = {}) {
+    try {
+        if (!userSettings.mastodon_instance_url || !userSettings.mastodon_access_token) {
+            throw new Error('Mastodon credentials not configured');
+        }
+
+        const visibility = [options.visibility, userSettings.mastodon_visibility]
+            .find(value => VISIBILITIES.includes(value)) || 'public';
+
+        const config = {
+            instanceUrl: normalizeInstanceUrl(userSettings.mastodon_instance_url),
+            accessToken: userSettings.mastodon_access_token,
+            visibility,
+            language: userSettings.mastodon_language,
+        };
+
+        // Upload sequentially to keep attachment order
+        const mediaIds = [];
+        for (const file of files) {
+            const media = await uploadMedia(file, config);
+            mediaIds.push(media.id);
+        }
+
+        const status = await postStatus(mediaIds, caption, config, options);
+
+        return {
+            success: true,
+            platform: 'mastodon',
+            postId: status.id,
+            url: status.url,
+            message: 'Successfully posted to Mastodon',
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.error || error.message;
+        console.error('Mastodon posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'mastodon',
+            error: errorMessage,
+        };
+    }
+}
+
+const visibilityOptions = [
+    { value: 'public', label: 'Public' },
+    { value: 'unlisted', label: 'Unlisted' },
+    { value: 'private', label: 'Followers only' },
+    { value: 'direct', label: 'Mentioned people only' },
+];
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'mastodon',
+    name: 'Mastodon',
+    color: '#6364ff',
+    icon: 'M21.3 7.9c0-4.3-2.8-5.6-2.8-5.6C17.1 1.6 14.6 1.3 12 1.3h-.1c-2.6 0-5.1.3-6.5 1 0 0-2.8 1.3-2.8 5.6 0 1 0 2.2.1 3.4.1 4.2.8 8.4 4.7 9.4 1.8.5 3.3.6 4.5.5 2.2-.1 3.5-.8 3.5-.8l-.1-1.6s-1.6.5-3.3.4c-1.7-.1-3.6-.2-3.9-2.3v-.6s1.7.4 3.8.5c1.3.1 2.5-.1 3.7-.2 2.4-.3 4.4-1.7 4.7-3 .4-2.1.4-5.1.4-5.1zM18.1 13.3h-2V8.4c0-1-.4-1.6-1.3-1.6-1 0-1.4.6-1.4 1.9v2.7h-2V8.7c0-1.3-.5-1.9-1.4-1.9-.9 0-1.3.5-1.3 1.6v4.9h-2v-5c0-1 .3-1.8.8-2.4.5-.6 1.2-.9 2.1-.9 1 0 1.8.4 2.3 1.2l.5.8.5-.8c.5-.8 1.3-1.2 2.3-1.2.9 0 1.6.3 2.1.9.5.6.8 1.4.8 2.4v5z',
+    fields: [
+        { name: 'instance_url', label: 'Instance URL', type: 'text', placeholder: 'https://mastodon.social', required: true },
+        { name: 'access_token', label: 'Access Token', type: 'password', placeholder: 'Your application access token', required: true },
+        { name: 'visibility', label: 'Default Visibility', type: 'select', options: visibilityOptions },
+        { name: 'language', label: 'Language (ISO 639)', type: 'text', placeholder: 'en' },
+    ],
+    postOptions: [
+        {
+            name: 'visibility',
+            label: 'Visibility',
+            type: 'select',
+            options: [{ value: '', label: 'Account default' }, ...visibilityOptions],
+        },
+        { name: 'content_warning', label: 'Content warning', type: 'text', placeholder: 'Optional spoiler text' },
+    ],
+    mediaTypes: ['photo', 'video', 'text'],
+    limits: {
+        maxPhotos: 4,
+        maxVideos: 1,
+        maxCaptionLength: 500,
+    },
+    publish: postToMastodon,
+};
+
+export default { postToMastodon, adapter };
@@ -0,0 +1,183 @@
+import axios from 'axios';
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+const OAUTH_DIALOG_URL = 'https://www.facebook.com/v19.0/dialog/oauth';
+
+// Permissions needed to publish to Pages and their linked Instagram accounts
+const META_SCOPES = [
+    'pages_show_list',
+    'pages_read_engagement',
+    'pages_manage_posts',
+    'business_management',
+    'instagram_basic',
+    'instagram_content_publish',
+];
+
+/**
+ * App credentials and callback URL from the environment
+ */
+function getMetaConfig() {
+    const appId = process.env.META_APP_ID;
+    const appSecret = process.env.META_APP_SECRET;
+    const baseUrl = process.env.PUBLIC_URL;
+
+    if (!appId || !appSecret || !baseUrl) {
+        throw new Error('Meta connect requires META_APP_ID, META_APP_SECRET and PUBLIC_URL to be set');
+    }
+
+    return {
+        appId,
+        appSecret,
+        redirectUri: `${baseUrl.replace(/\/$/, '')}/api/connect/meta/callback`,
+    };
+}
+
+/**
+ * URL of the Facebook Login dialog
+ * @param {string} state - Random value checked again in the callback
+ */
+export function getMetaAuthUrl(state) {
+    const config = getMetaConfig();
+
+    const params = new URLSearchParams({
+        client_id: config.appId,
+        redirect_uri: config.redirectUri,
+        state,
+        scope: META_SCOPES.join(','),
+        response_type: 'code',
+    });
+
+    return `${OAUTH_DIALOG_URL}?${params}`;
+}
+
+/**
+ * Exchange the callback code for a long-lived (about 60 day) user token
+ * @returns {Promise<{accessToken: string, expiresAt: number|null}>}
+ */
+export async function exchangeMetaCode(code) {
+    const config = getMetaConfig();
+
+    // Step 1: Code for a short-lived user token
+    const shortResponse = await axios.get(`${GRAPH_API_URL}/oauth/access_token`, {
+        params: {
+            client_id: config.appId,
+            client_secret: config.appSecret,
+            redirect_uri: config.redirectUri,
+            code,
+        },
+    });
+
+    // Step 2: Short-lived token for a long-lived one
+    const longResponse = await axios.get(`${GRAPH_API_URL}/oauth/access_token`, {
+        params: {
+            grant_type: 'fb_exchange_token',
+            client_id: config.appId,
+            client_secret: config.appSecret,
+            fb_exchange_token: shortResponse.data.access_token,
+        },
+    });
+
+    const { access_token: accessToken, expires_in: expiresIn } = longResponse.data;
+
+    return {
+        accessToken,
+        expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    };
+}
+
+/**
+ * List the Pages the user manages, with their Page tokens and
+ * linked Instagram business accounts
+ * Page tokens obtained from a long-lived user token do not expire.
+ */
+export async function listMetaPages(userAccessToken) {
+    const pages = [];
+    let url = `${GRAPH_API_URL}/me/accounts`;
+    let params = {
+        fields: 'id,name,access_token,instagram_business_account{id,username}',
+        limit: 100,
+        access_token: userAccessToken,
+    };
+
+    // Follow paging for users with many Pages
+    while (url) {
+        const response = await axios.get(url, { params });
+
+        response.data.data.forEach(page => {
+            pages.push({
+                id: page.id,
+                name: page.name,
+                accessToken: page.access_token,
+                instagram: page.instagram_business_account
+                    ? {
+                        id: page.instagram_business_account.id,
+                        username: page.instagram_business_account.username,
+                    }
+                    : null,
+            });
+        });
+
+        url = response.data.paging?.next;
+        params = undefined; // The next URL already carries the query
+    }
+
+    return pages;
+}
+
+/**
+ * Look up a token's granted permissions and expiry with debug_token
+ * The app token is used when the Meta app is configured; otherwise the
+ * token inspects itself, which works for tokens issued to the same app.
+ * @returns {Promise<{permissions: string[], expiresAt: number|null}>}
+ */
+export async function inspectMetaToken(accessToken) {
+    const appId = process.env.META_APP_ID;
+    const appSecret = process.env.META_APP_SECRET;
+
+    const response = await axios.get(`${GRAPH_API_URL}/debug_token`, {
+        params: {
+            input_token: accessToken,
+            access_token: appId && appSecret ? `${appId}|${appSecret}` : accessToken,
+        },
+    });
+
+    const data = response.data.data;
+
+    if (!data.is_valid) {
+        throw new Error(data.error?.message || 'Access token is no longer valid');
+    }
+
+    return {
+        permissions: data.scopes || [],
+        // 0 means the token never expires
+        expiresAt: data.expires_at ? data.expires_at * 1000 : null,
+    };
+}
+
+/**
+ * Comment on a just-published Facebook post or Instagram media (the
+ * "first comment" option); failures are reported, not thrown, since the
+ * post itself already went out
+ * @param {string} platformName - For the log line
+ * @returns {Promise<{success: boolean, commentId?: string, error?: string}>}
+ */
+export async function postMetaComment(objectId, message, accessToken, platformName) {
+    try {
+        const response = await axios.post(
+            `${GRAPH_API_URL}/${objectId}/comments`,
+            {
+                message,
+                access_token: accessToken,
+            }
+        );
+
+        return { success: true, commentId: response.data.id };
+    } catch (error) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+        console.error(`${platformName} first comment error:`, errorMessage);
+
+        return { success: false, error: errorMessage };
+    }
+}
+
+export default { getMetaAuthUrl, exchangeMetaCode, listMetaPages, inspectMetaToken, postMetaComment };
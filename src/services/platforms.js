@@ -0,0 +1,307 @@
+import { adapter as facebook } from './facebook.js';
+import { adapter as telegram } from './telegram.js';
+import { adapter as tiktok } from './tiktok.js';
+import { adapter as instagram } from './instagram.js';
+import { adapter as youtube } from './youtube.js';
+import { adapter as mastodon } from './mastodon.js';
+import { adapter as bluesky } from './bluesky.js';
+import { adapter as x } from './x.js';
+import { adapter as linkedin } from './linkedin.js';
+import { adapter as discord } from './discord.js';
+import { adapter as webhook } from './webhook.js';
+import { adapter as threads } from './threads.js';
+import fs from 'fs';
+import { getMediaType } from '../utils/mediaHelper.js';
+
+/**
+ * Platform adapter registry
+ *
+ * Each adapter is declared next to its service and describes:
+ * @property {string} id - Platform key used in settings and requests
+ * @property {string} name - Display name
+ * @property {string} color - Brand color for the UI
+ * @property {string} icon - SVG path data (24x24 viewBox)
+ * @property {Object[]} fields - Credential fields ({ name, label, type, placeholder, options, required });
+ *                              type "list" stores an array of rows described by `columns`
+ * @property {Object} [connect] - OAuth connect flow ({ provider, label }) under /api/connect/<provider>
+ * @property {Object[]} [postOptions] - Per-post composer fields, same shape as fields
+ * @property {Function} [isConfigured] - (flatSettings) => boolean, when required fields aren't enough
+ * @property {string[]} mediaTypes - Supported media types ('photo', 'video', 'mixed'
+ *                                   for albums combining both, 'text' for posts without media)
+ * @property {Object} limits - { maxPhotos, maxVideos, maxPhotoSize, maxVideoSize,
+ *                              maxCaptionLength, maxCaptionGraphemes, maxTextLength };
+ *                              maxTextLength overrides maxCaptionLength for text-only posts
+ *                              maxPhotos also caps the size of mixed albums
+ * @property {Function} [checkPost] - ({ files, caption, mediaType, options }) => error message or null,
+ *                                    for rules the limits can't express
+ * @property {Function} publish - (files, caption, mediaType, userSettings, options) => result
+ * @property {Function} [verify] - (userSettings) => { valid, account, permissions, expiresAt, error },
+ *                                 a cheap identity call used by connection tests and health checks
+ */
+const adapters = [facebook, telegram, tiktok, instagram, youtube, mastodon, bluesky, x, linkedin, discord, webhook, threads];
+
+const registry = new Map(adapters.map(adapter => [adapter.id, adapter]));
+
+/**
+ * Get an adapter by platform id
+ */
+export function getPlatform(id) {
+    return registry.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * Get all registered adapters in display order
+ */
+export function getAllPlatforms() {
+    return Array.from(registry.values());
+}
+
+/**
+ * Most files one post can carry: the largest album any platform accepts
+ * (each target's own limit is checked by checkPostSupport)
+ */
+export function getMaxPostFiles() {
+    return Math.max(...adapters.map(adapter => adapter.limits?.maxPhotos || 1));
+}
+
+/**
+ * Get the flat settings key for a platform field (e.g. facebook_page_id)
+ */
+export function getSettingsKey(platform, field) {
+    return `${platform.id}_${field.name}`;
+}
+
+/**
+ * Flatten an account's stored settings, keeping every stored key
+ * (credentials and OAuth token state) as <platform>_<key>,
+ * the format services read (e.g. facebook_page_id)
+ */
+export function flattenAccountSettings(account) {
+    const flatSettings = {};
+    Object.keys(account.settings || {}).forEach(key => {
+        flatSettings[`${account.platform}_${key}`] = account.settings[key];
+    });
+    return flatSettings;
+}
+
+/**
+ * A stored account as services use it: display label resolved (the
+ * platform name when the user gave none) and settings flattened
+ */
+export function toServiceAccount(account) {
+    const platform = getPlatform(account.platform);
+
+    return {
+        id: account.id,
+        platform: account.platform,
+        label: account.label || platform?.name || account.platform,
+        settings: flattenAccountSettings(account),
+        locked: account.locked || null,
+    };
+}
+
+/**
+ * Check that every required credential field is present in flat settings
+ */
+export function isConfigured(platform, flatSettings = {}) {
+    if (platform.isConfigured) {
+        return platform.isConfigured(flatSettings);
+    }
+
+    return platform.fields
+        .filter(field => field.required)
+        .every(field => {
+            const value = flatSettings[getSettingsKey(platform, field)];
+            return typeof value === 'string' || Array.isArray(value) ? value.length > 0 : !!value;
+        });
+}
+
+/**
+ * Count user-perceived characters (emoji and combined characters count as one)
+ */
+function countGraphemes(text) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(text)).length;
+}
+
+/**
+ * Size of an uploaded file (scheduled files only carry a path)
+ */
+function getFileSize(file) {
+    return file.size ?? fs.statSync(file.path).size;
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024
+        ? `${Math.round(bytes / (1024 * 1024))}MB`
+        : `${Math.round(bytes / 1024)}KB`;
+}
+
+/**
+ * Check a post against a platform's media types and limits, then the
+ * adapter's own checkPost (rules limits can't express) if it has one
+ * @returns {string|null} Error message, or null if the post is supported
+ */
+export function checkPostSupport(platform, { files = [], caption = '', mediaType, options = {} }) {
+    if (mediaType === 'text' && !platform.mediaTypes.includes('text')) {
+        return `${platform.name} does not support text-only posts (add a photo or video)`;
+    }
+
+    if (mediaType === 'mixed' && !platform.mediaTypes.includes('mixed')) {
+        return `${platform.name} cannot mix photos and videos in one post`;
+    }
+
+    if (!platform.mediaTypes.includes(mediaType)) {
+        return `${platform.name} does not support ${mediaType} posts`;
+    }
+
+    const {
+        maxPhotos,
+        maxVideos,
+        maxPhotoSize,
+        maxVideoSize,
+        maxCaptionGraphemes,
+        maxTextLength,
+    } = platform.limits || {};
+
+    const maxCaptionLength = mediaType === 'text' && maxTextLength
+        ? maxTextLength
+        : platform.limits?.maxCaptionLength;
+
+    const photos = files.filter(file => getMediaType(file) === 'photo');
+    const videos = files.filter(file => getMediaType(file) === 'video');
+
+    if (maxPhotos && photos.length > maxPhotos) {
+        return `${platform.name} allows at most ${maxPhotos} photos per post`;
+    }
+
+    if (maxVideos && videos.length > maxVideos) {
+        return `${platform.name} allows at most ${maxVideos} video(s) per post`;
+    }
+
+    if (mediaType === 'mixed' && maxPhotos && files.length > maxPhotos) {
+        return `${platform.name} allows at most ${maxPhotos} items per album`;
+    }
+
+    for (const [type, typeFiles, maxFileSize] of [['photo', photos, maxPhotoSize], ['video', videos, maxVideoSize]]) {
+        const tooLarge = maxFileSize && typeFiles.find(file => getFileSize(file) > maxFileSize);
+        if (tooLarge) {
+            return `${platform.name} limits ${type}s to ${formatBytes(maxFileSize)} (${tooLarge.originalname} is too large)`;
+        }
+    }
+
+    if (maxCaptionLength && caption && caption.length > maxCaptionLength) {
+        return `${platform.name} captions are limited to ${maxCaptionLength} characters`;
+    }
+
+    if (maxCaptionGraphemes && caption && countGraphemes(caption) > maxCaptionGraphemes) {
+        return `${platform.name} posts are limited to ${maxCaptionGraphemes} characters`;
+    }
+
+    return platform.checkPost ? platform.checkPost({ files, caption, mediaType, options }) : null;
+}
+
+/**
+ * Target account ids from a post request
+ * @param {string[]|string} raw - An array, its JSON, or a comma-separated list
+ * @returns {string[]} Unique, non-empty ids
+ */
+export function parseAccountIds(raw) {
+    let ids = raw;
+
+    if (typeof raw === 'string') {
+        try {
+            ids = JSON.parse(raw);
+        } catch (e) {
+            ids = raw.split(',');
+        }
+    }
+
+    if (!Array.isArray(ids)) {
+        ids = [ids];
+    }
+
+    return [...new Set(ids
+        .filter(id => typeof id === 'string' || typeof id === 'number')
+        .map(id => String(id).trim())
+        .filter(Boolean))];
+}
+
+/**
+ * Keep only the post options each target account's platform declares
+ * Options are per account, since choices like Telegram chats or the
+ * LinkedIn author only exist on the account they came from.
+ * @param {Object|string} raw - { [accountId]: { [optionName]: value } } or its JSON
+ * @param {Object[]} accounts - Target accounts ({ id, platform })
+ * @returns {Object} Sanitized options keyed by account id
+ */
+export function parsePostOptions(raw, accounts = []) {
+    let input = raw;
+    if (typeof raw === 'string') {
+        try {
+            input = JSON.parse(raw);
+        } catch (e) {
+            input = {};
+        }
+    }
+
+    const options = {};
+    accounts.forEach(account => {
+        const platform = getPlatform(account.platform);
+        const values = input?.[account.id];
+        if (!platform || !values || typeof values !== 'object') return;
+
+        options[account.id] = {};
+        (platform.postOptions || []).forEach(option => {
+            if (values[option.name] !== undefined && values[option.name] !== '') {
+                options[account.id][option.name] = values[option.name];
+            }
+        });
+    });
+
+    return options;
+}
+
+/**
+ * Post options of a platform for one account
+ * Options whose choices depend on the account's settings declare options
+ * as a function of flat settings; it is resolved here.
+ */
+export function resolvePostOptions(platform, flatSettings = {}) {
+    return (platform.postOptions || []).map(option => (
+        typeof option.options === 'function'
+            ? { ...option, options: option.options(flatSettings) }
+            : option
+    ));
+}
+
+/**
+ * Public description of an adapter (everything except functions;
+ * `testable` tells whether it supports connection tests). Settings-based
+ * option choices are left empty here; see resolvePostOptions.
+ */
+export function describePlatform(platform) {
+    const { publish, verify, checkPost, isConfigured: _isConfigured, ...descriptor } = platform;
+    descriptor.testable = !!verify;
+
+    if (descriptor.postOptions) {
+        descriptor.postOptions = resolvePostOptions(platform);
+    }
+
+    return descriptor;
+}
+
+export default {
+    getPlatform,
+    getAllPlatforms,
+    getMaxPostFiles,
+    getSettingsKey,
+    flattenAccountSettings,
+    toServiceAccount,
+    isConfigured,
+    checkPostSupport,
+    parseAccountIds,
+    parsePostOptions,
+    resolvePostOptions,
+    describePlatform,
+};
@@ -1,5 +1,8 @@
-import { ScheduledPostModel, SettingsModel } from '../database/database.js';
-import { postToAllPlatforms } from './uploader.js';
+import { ScheduledPostModel, AccountModel } from '../database/database.js';
+import { postToAccounts } from './uploader.js';
+import { refreshTokens } from './tokenManager.js';
+import { toServiceAccount } from './platforms.js';
+import { attachMediaMeta } from '../utils/mediaHelper.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -18,16 +21,29 @@ async function processScheduledPost(post) {
         // Update status to processing
         ScheduledPostModel.updateStatus(post.id, 'processing');
 
-        // Get user settings
-        const allSettings = SettingsModel.getAllForUser(post.user_id);
-
-        // Flatten settings for uploader
-        const userSettings = {};
-        Object.keys(allSettings).forEach(platform => {
-            const platformSettings = allSettings[platform];
-            Object.keys(platformSettings).forEach(key => {
-                userSettings[`${platform}_${key}`] = platformSettings[key];
-            });
+        // Posts scheduled before accounts existed target every account of
+        // their platforms, with options keyed by platform
+        const legacy = post.accounts.length === 0;
+        const legacyAccounts = legacy
+            ? AccountModel.getAllForUser(post.user_id).filter(account => post.platforms.includes(account.platform))
+            : [];
+        const accountIds = legacy ? legacyAccounts.map(account => account.id) : post.accounts;
+        const postOptions = legacy
+            ? Object.fromEntries(legacyAccounts.map(account => [account.id, post.options.postOptions?.[account.platform] || {}]))
+            : post.options.postOptions;
+
+        // Renew expiring OAuth tokens before reading the accounts' settings
+        const reconnect = await refreshTokens(post.user_id, accountIds);
+
+        const accounts = [];
+        const removed = [];
+        accountIds.forEach(id => {
+            const account = AccountModel.findForUser(id, post.user_id);
+            if (account) {
+                accounts.push(toServiceAccount(account));
+            } else {
+                removed.push({ success: false, accountId: id, error: 'This account has been removed' });
+            }
         });
 
         // Prepare files array (media_paths contains absolute paths)
@@ -36,14 +52,19 @@ async function processScheduledPost(post) {
             mimetype: getMimeType(filePath),
             originalname: path.basename(filePath),
         }));
+        attachMediaMeta(files, post.options.mediaMeta);
 
         // Execute the post
-        const results = await postToAllPlatforms({
-            platforms: post.platforms,
-            files,
-            caption: post.caption,
-            userSettings,
-        });
+        const results = [
+            ...await postToAccounts({
+                accounts,
+                files,
+                caption: post.caption,
+                options: postOptions,
+                reconnect,
+            }),
+            ...removed,
+        ];
 
         // Check results
         const allSuccess = results.every(r => r.success);
@@ -15,6 +15,68 @@ function getBot(botToken) {
     return botCache.get(botToken);
 }
 
+/**
+ * Key identifying a destination (chat plus optional forum topic)
+ */
+function destinationKey(chatId, threadId) {
+    return threadId ? `${chatId}:${threadId}` : String(chatId);
+}
+
+/**
+ * Collect the user's Telegram destinations: the default chat plus named chats
+ */
+function getDestinations(userSettings) {
+    let list = userSettings.telegram_destinations || [];
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (e) {
+            list = [];
+        }
+    }
+
+    const destinations = [];
+    if (userSettings.telegram_chat_id) {
+        destinations.push({ name: 'Default chat', chatId: String(userSettings.telegram_chat_id).trim(), threadId: null });
+    }
+    (Array.isArray(list) ? list : []).forEach(entry => {
+        if (!entry || !entry.chat_id) return;
+        destinations.push({
+            name: entry.name || String(entry.chat_id),
+            chatId: String(entry.chat_id).trim(),
+            threadId: entry.thread_id ? Number(entry.thread_id) : null,
+        });
+    });
+
+    // Drop duplicates of the same chat/topic
+    const seen = new Set();
+    return destinations
+        .map(destination => ({ ...destination, key: destinationKey(destination.chatId, destination.threadId) }))
+        .filter(destination => !seen.has(destination.key) && seen.add(destination.key));
+}
+
+/**
+ * Extra send options for posting into a forum topic
+ */
+function threadOptions(config) {
+    return config.threadId ? { message_thread_id: config.threadId } : {};
+}
+
+/**
+ * Post a text message to Telegram
+ */
+async function postText(caption, config) {
+    const bot = getBot(config.botToken);
+
+    const result = await bot.sendMessage(config.chatId, caption, {
+        parse_mode: 'HTML',
+        ...(config.disableLinkPreview ? { link_preview_options: JSON.stringify({ is_disabled: true }) } : {}),
+        ...threadOptions(config),
+    });
+
+    return result;
+}
+
 /**
  * Post a single photo to Telegram
  */
@@ -25,29 +87,32 @@ async function postSinglePhoto(filePath, caption, config) {
     const result = await bot.sendPhoto(config.chatId, photoStream, {
         caption: caption || '',
         parse_mode: 'HTML',
+        ...threadOptions(config),
     });
 
     return result;
 }
 
 /**
- * Post multiple photos as a media group to Telegram
+ * Post multiple photos and/or videos as a media group (album) to Telegram
  */
-async function postMultiplePhotos(files, caption, config) {
+async function postMediaGroup(files, caption, config) {
     const bot = getBot(config.botToken);
 
     const media = files.map((file, index) => ({
-        type: 'photo',
-        media: `attach://photo${index}`,
+        type: file.mediaType === 'video' ? 'video' : 'photo',
+        media: `attach://media${index}`,
+        ...(file.mediaType === 'video' ? { supports_streaming: true } : {}),
         ...(index === 0 && caption ? { caption, parse_mode: 'HTML' } : {}),
     }));
 
     const fileOptions = {};
     files.forEach((file, index) => {
-        fileOptions[`photo${index}`] = fs.createReadStream(file.path);
+        fileOptions[`media${index}`] = fs.createReadStream(file.path);
     });
 
     const result = await bot.sendMediaGroup(config.chatId, media, {
+        ...threadOptions(config),
         fileOptions,
     });
 
@@ -65,46 +130,101 @@ async function postVideo(filePath, caption, config) {
         caption: caption || '',
         parse_mode: 'HTML',
         supports_streaming: true,
+        ...threadOptions(config),
     });
 
     return result;
 }
 
+/**
+ * Send the post to one chat, returning the first message ID
+ */
+async function postToChat(files, caption, mediaType, config) {
+    let result;
+
+    if (files.length === 0) {
+        result = await postText(caption, config);
+    } else if (files.length > 1) {
+        result = await postMediaGroup(files, caption, config);
+    } else if (mediaType === 'video') {
+        result = await postVideo(files[0].path, caption, config);
+    } else {
+        result = await postSinglePhoto(files[0].path, caption, config);
+    }
+
+    return Array.isArray(result) ? result[0].message_id : result.message_id;
+}
+
 /**
  * Main posting function for Telegram
  * @param {Object[]} files - Array of uploaded files
  * @param {string} caption - Post caption
- * @param {string} mediaType - 'photo' or 'video'
+ * @param {string} mediaType - 'photo', 'video', 'mixed' or 'text'
  * @param {Object} userSettings - User's platform credentials
+ * @param {Object} options - Per-post Telegram options (destinations: keys to target,
+ *                           disable_link_preview for text posts)
  */
-export async function postToTelegram(files, caption, mediaType, userSettings = {}) {
+export async function postToTelegram(files, caption, mediaType, userSettings = {}, options = {}) {
     try {
-        const config = {
-            botToken: userSettings.telegram_bot_token,
-            chatId: userSettings.telegram_chat_id,
-        };
+        const botToken = userSettings.telegram_bot_token;
+        const destinations = getDestinations(userSettings);
 
-        if (!config.botToken || !config.chatId) {
+        if (!botToken || destinations.length === 0) {
             throw new Error('Telegram credentials not configured');
         }
 
-        let result;
+        // Without a selection, post to every configured destination
+        const selected = Array.isArray(options.destinations) ? options.destinations : [];
+        const targets = selected.length > 0
+            ? destinations.filter(destination => selected.includes(destination.key))
+            : destinations;
+
+        if (targets.length === 0) {
+            throw new Error('None of the selected Telegram destinations are configured');
+        }
+
+        // Send to each chat in turn; one failing chat doesn't stop the others
+        const chatResults = [];
+        for (const destination of targets) {
+            const entry = {
+                name: destination.name,
+                chatId: destination.chatId,
+                threadId: destination.threadId,
+            };
+
+            try {
+                entry.messageId = await postToChat(files, caption, mediaType, {
+                    botToken,
+                    chatId: destination.chatId,
+                    threadId: destination.threadId,
+                    disableLinkPreview: !!options.disable_link_preview,
+                });
+                entry.success = true;
+            } catch (error) {
+                console.error(`Telegram posting error (${destination.name}):`, error.message);
+                entry.success = false;
+                entry.error = error.message;
+            }
 
-        if (mediaType === 'video') {
-            result = await postVideo(files[0].path, caption, config);
-        } else if (files.length === 1) {
-            result = await postSinglePhoto(files[0].path, caption, config);
-        } else {
-            result = await postMultiplePhotos(files, caption, config);
+            chatResults.push(entry);
         }
 
-        const messageId = Array.isArray(result) ? result[0].message_id : result.message_id;
+        const succeeded = chatResults.filter(r => r.success);
+        const failed = chatResults.filter(r => !r.success);
 
         return {
-            success: true,
+            success: failed.length === 0,
             platform: 'telegram',
-            messageId,
-            message: 'Successfully posted to Telegram',
+            messageId: succeeded[0]?.messageId,
+            destinations: chatResults,
+            message: failed.length > 0
+                ? `Posted to ${succeeded.length} of ${chatResults.length} Telegram chats`
+                : chatResults.length === 1
+                    ? 'Successfully posted to Telegram'
+                    : `Successfully posted to ${chatResults.length} Telegram chats`,
+            ...(failed.length > 0 ? {
+                error: failed.map(r => `${r.name}: ${r.error}`).join('; '),
+            } : {}),
         };
     } catch (error) {
         console.error('Telegram posting error:', error.message);
@@ -117,4 +237,123 @@ export async function postToTelegram(files, caption, mediaType, userSettings = {
     }
 }
 
-export default { postToTelegram };
+/**
+ * Describe what the bot may do in a chat, from its chat member record
+ */
+function describeMembership(member) {
+    if (member.status === 'administrator' && member.can_post_messages === false) {
+        return 'administrator without posting rights';
+    }
+    return member.status;
+}
+
+/**
+ * Check the bot token and that the bot can reach every configured chat
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function verifyTelegram(userSettings = {}) {
+    try {
+        const botToken = userSettings.telegram_bot_token;
+
+        if (!botToken) {
+            throw new Error('Telegram credentials not configured');
+        }
+
+        const bot = getBot(botToken);
+        const me = await bot.getMe();
+
+        // Topics share their chat's membership, so check each chat once
+        const chats = getDestinations(userSettings)
+            .filter((destination, index, all) => all.findIndex(d => d.chatId === destination.chatId) === index);
+
+        const destinations = [];
+        for (const destination of chats) {
+            const entry = { name: destination.name, chatId: destination.chatId };
+
+            try {
+                const chat = await bot.getChat(destination.chatId);
+                const member = await bot.getChatMember(destination.chatId, me.id);
+                entry.success = true;
+                entry.title = chat.title || chat.username || chat.first_name;
+                entry.status = describeMembership(member);
+            } catch (error) {
+                entry.success = false;
+                entry.error = error.message;
+            }
+
+            destinations.push(entry);
+        }
+
+        const failed = destinations.filter(entry => !entry.success);
+
+        return {
+            valid: failed.length === 0,
+            platform: 'telegram',
+            account: `@${me.username}`,
+            permissions: destinations
+                .filter(entry => entry.success)
+                .map(entry => `${entry.title}: ${entry.status}`),
+            expiresAt: null, // Bot tokens don't expire
+            destinations,
+            ...(failed.length > 0 ? {
+                error: failed.map(entry => `${entry.name}: ${entry.error}`).join('; '),
+            } : {}),
+        };
+    } catch (error) {
+        return {
+            valid: false,
+            platform: 'telegram',
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'telegram',
+    name: 'Telegram',
+    color: '#26a5e4',
+    icon: 'M11.944 0A12 12 0 0 0 0 12a12 12 0 0 0 12 12 12 12 0 0 0 12-12A12 12 0 0 0 12 0a12 12 0 0 0-.056 0zm4.962 7.224c.1-.002.321.023.465.14a.506.506 0 0 1 .171.325c.016.093.036.306.02.472-.18 1.898-.962 6.502-1.36 8.627-.168.9-.499 1.201-.82 1.23-.696.065-1.225-.46-1.9-.902-1.056-.693-1.653-1.124-2.678-1.8-1.185-.78-.417-1.21.258-1.91.177-.184 3.247-2.977 3.307-3.23.007-.032.014-.15-.056-.212s-.174-.041-.249-.024c-.106.024-1.793 1.14-5.061 3.345-.48.33-.913.49-1.302.48-.428-.008-1.252-.241-1.865-.44-.752-.245-1.349-.374-1.297-.789.027-.216.325-.437.893-.663 3.498-1.524 5.83-2.529 6.998-3.014 3.332-1.386 4.025-1.627 4.476-1.635z',
+    fields: [
+        { name: 'bot_token', label: 'Bot Token', type: 'password', placeholder: '1234567890:ABCdefGHI...', required: true },
+        { name: 'chat_id', label: 'Default Chat ID', type: 'text', placeholder: '-1001234567890' },
+        {
+            name: 'destinations',
+            label: 'Additional Chats & Channels',
+            type: 'list',
+            columns: [
+                { name: 'name', label: 'Name', placeholder: 'News channel' },
+                { name: 'chat_id', label: 'Chat ID', placeholder: '-1001234567890' },
+                { name: 'thread_id', label: 'Topic ID', placeholder: 'Optional' },
+            ],
+        },
+    ],
+    postOptions: [
+        {
+            name: 'destinations',
+            label: 'Send to (none selected = all chats)',
+            type: 'multiselect',
+            options: settings => getDestinations(settings).map(destination => ({
+                value: destination.key,
+                label: destination.name,
+            })),
+        },
+        { name: 'disable_link_preview', label: 'Disable link preview (text posts)', type: 'checkbox' },
+    ],
+    // Needs a bot token and at least one chat
+    isConfigured: settings => !!settings.telegram_bot_token
+        && getDestinations(settings).length > 0,
+    mediaTypes: ['photo', 'video', 'mixed', 'text'],
+    limits: {
+        maxPhotos: 10,
+        maxVideos: 10, // Albums may hold several videos
+        maxCaptionLength: 1024,
+        maxTextLength: 4096,
+    },
+    publish: postToTelegram,
+    verify: verifyTelegram,
+};
+
+export default { postToTelegram, verifyTelegram, adapter };
@@ -0,0 +1,203 @@
+import axios from 'axios';
+import { waitForMediaReady } from './instagram.js';
+import { getPublicMediaUrl } from '../utils/mediaHelper.js';
+
+const THREADS_API_URL = 'https://graph.threads.net/v1.0';
+const REPLY_CONTROLS = ['everyone', 'accounts_you_follow', 'mentioned_only'];
+
+// Threads reports container state as "status" with an "error_message"
+const CONTAINER_STATUS = {
+    apiUrl: THREADS_API_URL,
+    fields: 'status,error_message',
+};
+
+/**
+ * Create a Threads media container
+ */
+async function createContainer(params, config) {
+    const response = await axios.post(
+        `${THREADS_API_URL}/${config.userId}/threads`,
+        {
+            ...params,
+            access_token: config.accessToken,
+        }
+    );
+
+    return response.data.id;
+}
+
+/**
+ * Publish a media container to Threads
+ */
+async function publishContainer(containerId, config) {
+    const response = await axios.post(
+        `${THREADS_API_URL}/${config.userId}/threads_publish`,
+        {
+            creation_id: containerId,
+            access_token: config.accessToken,
+        }
+    );
+
+    return response.data;
+}
+
+/**
+ * Create the container for a single-item (text, image or video) thread
+ */
+async function createSingleContainer(files, caption, config) {
+    const base = {
+        text: caption || '',
+        reply_control: config.replyControl,
+    };
+
+    if (!files || files.length === 0) {
+        return await createContainer({ ...base, media_type: 'TEXT' }, config);
+    }
+
+    const file = files[0];
+    const publicUrl = getPublicMediaUrl(file.path);
+
+    return await createContainer(
+        file.mediaType === 'video'
+            ? { ...base, media_type: 'VIDEO', video_url: publicUrl }
+            : { ...base, media_type: 'IMAGE', image_url: publicUrl },
+        config
+    );
+}
+
+/**
+ * Create a carousel container; each child must finish processing first
+ */
+async function createCarouselContainer(files, caption, config) {
+    // Step 1: Create item containers (no text on items)
+    const itemIds = [];
+    for (const file of files) {
+        const publicUrl = getPublicMediaUrl(file.path);
+        const itemId = await createContainer(
+            file.mediaType === 'video'
+                ? { media_type: 'VIDEO', video_url: publicUrl, is_carousel_item: true }
+                : { media_type: 'IMAGE', image_url: publicUrl, is_carousel_item: true },
+            config
+        );
+        await waitForMediaReady(itemId, config.accessToken, 60, CONTAINER_STATUS);
+        itemIds.push(itemId);
+    }
+
+    // Step 2: Create the carousel container
+    return await createContainer(
+        {
+            media_type: 'CAROUSEL',
+            children: itemIds.join(','),
+            text: caption || '',
+            reply_control: config.replyControl,
+        },
+        config
+    );
+}
+
+/**
+ * Fetch the public permalink of a published thread
+ */
+async function getPermalink(mediaId, config) {
+    try {
+        const response = await axios.get(`${THREADS_API_URL}/${mediaId}`, {
+            params: {
+                fields: 'permalink',
+                access_token: config.accessToken,
+            },
+        });
+        return response.data.permalink;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Main posting function for Threads
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video', 'mixed' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ * @param {Object} options - Per-post Threads options (reply_control)
+ */
+export async function postToThreads(files, caption, mediaType, userSettings = {}, options = {}) {
+    try {
+        const replyControl = options.reply_control || userSettings.threads_reply_control;
+
+        const config = {
+            userId: userSettings.threads_user_id,
+            accessToken: userSettings.threads_access_token,
+            replyControl: REPLY_CONTROLS.includes(replyControl) ? replyControl : 'everyone',
+        };
+
+        if (!config.userId || !config.accessToken) {
+            throw new Error('Threads credentials not configured');
+        }
+
+        // Step 1: Create the container
+        const containerId = files && files.length > 1
+            ? await createCarouselContainer(files, caption, config)
+            : await createSingleContainer(files, caption, config);
+
+        // Step 2: Wait for processing to finish
+        await waitForMediaReady(containerId, config.accessToken, 60, CONTAINER_STATUS);
+
+        // Step 3: Publish the container
+        const result = await publishContainer(containerId, config);
+
+        return {
+            success: true,
+            platform: 'threads',
+            postId: result.id,
+            url: await getPermalink(result.id, config),
+            message: 'Successfully posted to Threads',
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+        console.error('Threads posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'threads',
+            error: errorMessage,
+        };
+    }
+}
+
+const replyControlOptions = [
+    { value: 'everyone', label: 'Everyone can reply' },
+    { value: 'accounts_you_follow', label: 'Accounts you follow' },
+    { value: 'mentioned_only', label: 'Mentioned accounts only' },
+];
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'threads',
+    name: 'Threads',
+    color: '#a855f7',
+    icon: 'M12.186 24h-.007c-3.581-.024-6.334-1.205-8.184-3.509C2.35 18.44 1.5 15.586 1.472 12.01v-.017c.03-3.579.879-6.43 2.525-8.482C5.845 1.205 8.6.024 12.18 0h.014c2.746.02 5.043.725 6.826 2.098 1.677 1.29 2.858 3.13 3.509 5.467l-2.04.569c-1.104-3.96-3.898-5.984-8.304-6.015-2.91.022-5.11.936-6.54 2.717C4.307 6.504 3.616 8.914 3.589 12c.027 3.086.718 5.496 2.057 7.164 1.43 1.783 3.631 2.698 6.54 2.717 2.623-.02 4.358-.631 5.8-2.045 1.647-1.613 1.618-3.593 1.09-4.798-.31-.71-.873-1.3-1.634-1.75-.192 1.352-.622 2.446-1.284 3.272-.886 1.102-2.14 1.704-3.73 1.79-1.202.065-2.361-.218-3.259-.801-1.063-.689-1.685-1.74-1.752-2.964-.065-1.19.408-2.285 1.33-3.082.88-.76 2.119-1.207 3.583-1.291a13.853 13.853 0 0 1 3.02.142c-.126-.742-.375-1.332-.75-1.757-.513-.586-1.308-.883-2.359-.89h-.029c-.844 0-1.992.232-2.721 1.32L7.734 7.847c.98-1.454 2.568-2.256 4.478-2.256h.044c3.194.02 5.097 1.975 5.287 5.388.108.046.216.094.321.142 1.49.7 2.58 1.761 3.154 3.07.797 1.82.871 4.79-1.548 7.158-1.85 1.81-4.094 2.628-7.277 2.65zm1.003-11.69c-.242 0-.487.007-.739.021-1.836.103-2.98.946-2.916 2.143.067 1.256 1.452 1.839 2.784 1.767 1.224-.065 2.818-.543 3.086-3.71a10.5 10.5 0 0 0-2.215-.221z',
+    fields: [
+        { name: 'user_id', label: 'Threads User ID', type: 'text', placeholder: '1234567890', required: true },
+        { name: 'access_token', label: 'Access Token', type: 'password', placeholder: 'THQxxxxxxxxx...', required: true },
+        { name: 'reply_control', label: 'Default Reply Control', type: 'select', options: replyControlOptions },
+    ],
+    postOptions: [
+        {
+            name: 'reply_control',
+            label: 'Who can reply',
+            type: 'select',
+            options: [{ value: '', label: 'Account default' }, ...replyControlOptions],
+        },
+    ],
+    mediaTypes: ['photo', 'video', 'mixed', 'text'],
+    limits: {
+        maxPhotos: 20,
+        maxVideos: 20, // Several videos become a carousel
+        maxCaptionLength: 500,
+    },
+    publish: postToThreads,
+};
+
+export default { postToThreads, adapter };
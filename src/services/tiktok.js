@@ -1,27 +1,101 @@
 import axios from 'axios';
 import fs from 'fs';
+import { getPublicMediaUrl, getVideoInfo } from '../utils/mediaHelper.js';
 
 const TIKTOK_API_URL = 'https://open.tiktokapis.com/v2';
 
+// TikTok accepts 5MB-64MB chunks; the last chunk absorbs the remainder (up to 128MB)
+const MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+const CHUNK_SIZE = 10 * 1024 * 1024;
+
+// Photo mode limits
+const MAX_PHOTO_TITLE_LENGTH = 90;
+const MAX_PHOTO_DESCRIPTION_LENGTH = 4000;
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/webp'];
+
+/**
+ * Split a video into the chunks TikTok expects.
+ * Videos under 5MB go up whole; otherwise the chunk count is rounded down
+ * so the final chunk holds the trailing bytes.
+ */
+export function planChunks(fileSize) {
+    if (fileSize < MIN_CHUNK_SIZE) {
+        return { chunkSize: fileSize, totalChunkCount: 1 };
+    }
+
+    const chunkSize = Math.min(CHUNK_SIZE, fileSize);
+    return { chunkSize, totalChunkCount: Math.floor(fileSize / chunkSize) };
+}
+
+/**
+ * Query what the creator is allowed to post right now:
+ * privacy levels, max video duration and disabled interactions
+ */
+async function queryCreatorInfo(config) {
+    const response = await axios.post(
+        `${TIKTOK_API_URL}/post/publish/creator_info/query/`,
+        {},
+        {
+            headers: {
+                'Authorization': `Bearer ${config.accessToken}`,
+                'Content-Type': 'application/json; charset=UTF-8',
+            },
+        }
+    );
+
+    if (response.data.error?.code && response.data.error.code !== 'ok') {
+        throw new Error(response.data.error.message || 'Failed to query TikTok creator info');
+    }
+
+    return response.data.data;
+}
+
+/**
+ * Build the post_info settings shared by video and photo posts
+ * from the per-post options and creator info
+ */
+function buildPostInfo(options, creatorInfo) {
+    const allowedLevels = creatorInfo.privacy_level_options || [];
+
+    // Keep the old private-by-default behaviour when nothing is chosen
+    const privacyLevel = options.privacy_level
+        || (allowedLevels.includes('SELF_ONLY') ? 'SELF_ONLY' : allowedLevels[0]);
+
+    if (!allowedLevels.includes(privacyLevel)) {
+        throw new Error(`This TikTok account can't post as ${privacyLevel} (allowed: ${allowedLevels.join(', ')})`);
+    }
+
+    const brandedContent = options.branded_content === 'branded';
+    const yourBrand = options.branded_content === 'your_brand';
+
+    if (brandedContent && privacyLevel === 'SELF_ONLY') {
+        throw new Error('TikTok branded content cannot be private (choose another privacy level)');
+    }
+
+    return {
+        privacy_level: privacyLevel,
+        // Interactions the creator has turned off account-wide stay off
+        disable_comment: !!options.disable_comment || !!creatorInfo.comment_disabled,
+        disable_duet: !!options.disable_duet || !!creatorInfo.duet_disabled,
+        disable_stitch: !!options.disable_stitch || !!creatorInfo.stitch_disabled,
+        brand_content_toggle: brandedContent,
+        brand_organic_toggle: yourBrand,
+    };
+}
+
 /**
  * Initialize video upload to TikTok
  */
-async function initializeUpload(fileSize, config) {
+async function initializeUpload(fileSize, chunks, postInfo, config) {
     const response = await axios.post(
         `${TIKTOK_API_URL}/post/publish/video/init/`,
         {
-            post_info: {
-                title: '',
-                privacy_level: 'SELF_ONLY', // Start as private, user can change on TikTok
-                disable_duet: false,
-                disable_comment: false,
-                disable_stitch: false,
-            },
+            post_info: postInfo,
             source_info: {
                 source: 'FILE_UPLOAD',
                 video_size: fileSize,
-                chunk_size: fileSize,
-                total_chunk_count: 1,
+                chunk_size: chunks.chunkSize,
+                total_chunk_count: chunks.totalChunkCount,
             },
         },
         {
@@ -36,16 +110,14 @@ async function initializeUpload(fileSize, config) {
 }
 
 /**
- * Upload video chunk to TikTok
+ * Upload one video chunk to TikTok, streamed from disk
  */
-async function uploadVideoChunk(uploadUrl, filePath, fileSize) {
-    const fileBuffer = fs.readFileSync(filePath);
-
-    const response = await axios.put(uploadUrl, fileBuffer, {
+async function uploadVideoChunk(uploadUrl, filePath, start, end, fileSize) {
+    const response = await axios.put(uploadUrl, fs.createReadStream(filePath, { start, end }), {
         headers: {
             'Content-Type': 'video/mp4',
-            'Content-Length': fileSize,
-            'Content-Range': `bytes 0-${fileSize - 1}/${fileSize}`,
+            'Content-Length': end - start + 1,
+            'Content-Range': `bytes ${start}-${end}/${fileSize}`,
         },
         maxContentLength: Infinity,
         maxBodyLength: Infinity,
@@ -54,32 +126,169 @@ async function uploadVideoChunk(uploadUrl, filePath, fileSize) {
     return response.data;
 }
 
+/**
+ * Upload every chunk in order
+ */
+async function uploadVideo(uploadUrl, filePath, fileSize, chunks) {
+    for (let index = 0; index < chunks.totalChunkCount; index++) {
+        const start = index * chunks.chunkSize;
+        const isLast = index === chunks.totalChunkCount - 1;
+        const end = isLast ? fileSize - 1 : start + chunks.chunkSize - 1;
+
+        await uploadVideoChunk(uploadUrl, filePath, start, end, fileSize);
+    }
+}
+
+/**
+ * Poll the publish status until TikTok finishes or fails the post
+ */
+async function waitForPublish(publishId, config, maxAttempts = 60) {
+    let status;
+
+    for (let i = 0; i < maxAttempts; i++) {
+        const response = await axios.post(
+            `${TIKTOK_API_URL}/post/publish/status/fetch/`,
+            { publish_id: publishId },
+            {
+                headers: {
+                    'Authorization': `Bearer ${config.accessToken}`,
+                    'Content-Type': 'application/json; charset=UTF-8',
+                },
+            }
+        );
+
+        if (response.data.error?.code && response.data.error.code !== 'ok') {
+            throw new Error(response.data.error.message || 'Failed to fetch TikTok publish status');
+        }
+
+        status = response.data.data;
+
+        if (['PUBLISH_COMPLETE', 'SEND_TO_USER_INBOX', 'FAILED'].includes(status.status)) {
+            return status;
+        }
+
+        // Wait 5 seconds before polling again
+        await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+
+    throw new Error(`TikTok publishing timed out (last status: ${status?.status || 'unknown'})`);
+}
+
 /**
  * Post a video to TikTok
  */
-async function postVideo(filePath, caption, config) {
+async function postVideo(filePath, caption, options, config) {
     if (!config.accessToken || !config.openId) {
         throw new Error('TikTok credentials not configured');
     }
 
     const stats = fs.statSync(filePath);
     const fileSize = stats.size;
+    const chunks = planChunks(fileSize);
 
-    // Step 1: Initialize upload
-    const initResponse = await initializeUpload(fileSize, config);
+    // Step 1: Check what the creator can post
+    const creatorInfo = await queryCreatorInfo(config);
+    const postInfo = { title: caption || '', ...buildPostInfo(options, creatorInfo) };
+
+    const maxDuration = creatorInfo.max_video_post_duration_sec;
+    const duration = getVideoInfo(filePath)?.duration;
+    if (maxDuration && duration && duration > maxDuration) {
+        throw new Error(`Video is ${Math.round(duration)}s long; this TikTok account allows up to ${maxDuration}s`);
+    }
 
-    if (initResponse.error?.code) {
+    // Step 2: Initialize upload
+    const initResponse = await initializeUpload(fileSize, chunks, postInfo, config);
+
+    if (initResponse.error?.code && initResponse.error.code !== 'ok') {
         throw new Error(initResponse.error.message || 'Failed to initialize TikTok upload');
     }
 
     const uploadUrl = initResponse.data.upload_url;
     const publishId = initResponse.data.publish_id;
 
-    // Step 2: Upload video
-    await uploadVideoChunk(uploadUrl, filePath, fileSize);
+    // Step 3: Upload video
+    await uploadVideo(uploadUrl, filePath, fileSize, chunks);
+
+    // Step 4: Wait for TikTok to process and publish it
+    const status = await waitForPublish(publishId, config);
+
+    return { publish_id: publishId, ...status };
+}
+
+/**
+ * Photo mode only takes JPEG and WebP, and the cover must be one of the photos
+ * @returns {string|null} Error message, or null if the post is supported
+ */
+function checkTikTokPost({ files, mediaType, options }) {
+    if (mediaType !== 'photo') return null;
+
+    const unsupported = files.find(file => !PHOTO_MIME_TYPES.includes(file.mimetype));
+    if (unsupported) {
+        return `TikTok photo posts accept JPEG or WebP images only (${unsupported.originalname} is ${unsupported.mimetype})`;
+    }
+
+    const coverIndex = Number(options.photo_cover || 1) - 1;
+    if (!Number.isInteger(coverIndex) || coverIndex < 0 || coverIndex >= files.length) {
+        return `TikTok cover image must be a number from 1 to ${files.length}`;
+    }
+
+    return null;
+}
+
+/**
+ * Post photos as a TikTok photo-mode carousel
+ * TikTok pulls each image from a public URL (on a domain verified in the app)
+ */
+async function postPhotos(files, caption, options, config) {
+    if (!config.accessToken || !config.openId) {
+        throw new Error('TikTok credentials not configured');
+    }
+
+    // Image types and the cover number were checked by checkTikTokPost
+    const coverIndex = Number(options.photo_cover || 1) - 1;
+
+    // Step 1: Check what the creator can post (duets and stitches don't apply to photos)
+    const creatorInfo = await queryCreatorInfo(config);
+    const { disable_duet: _duet, disable_stitch: _stitch, ...sharedInfo } = buildPostInfo(options, creatorInfo);
 
-    // Return publish ID - video will be in drafts or pending
-    return { publish_id: publishId };
+    const title = options.photo_title || (caption || '').split('\n')[0];
+
+    // Step 2: Create the post from the image URLs
+    const response = await axios.post(
+        `${TIKTOK_API_URL}/post/publish/content/init/`,
+        {
+            post_info: {
+                title: title.slice(0, MAX_PHOTO_TITLE_LENGTH),
+                description: (caption || '').slice(0, MAX_PHOTO_DESCRIPTION_LENGTH),
+                auto_add_music: true,
+                ...sharedInfo,
+            },
+            source_info: {
+                source: 'PULL_FROM_URL',
+                photo_cover_index: coverIndex,
+                photo_images: files.map(file => getPublicMediaUrl(file.path)),
+            },
+            post_mode: 'DIRECT_POST',
+            media_type: 'PHOTO',
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${config.accessToken}`,
+                'Content-Type': 'application/json; charset=UTF-8',
+            },
+        }
+    );
+
+    if (response.data.error?.code && response.data.error.code !== 'ok') {
+        throw new Error(response.data.error.message || 'Failed to create TikTok photo post');
+    }
+
+    const publishId = response.data.data.publish_id;
+
+    // Step 3: Wait for TikTok to fetch the images and publish
+    const status = await waitForPublish(publishId, config);
+
+    return { publish_id: publishId, ...status };
 }
 
 /**
@@ -88,41 +297,145 @@ async function postVideo(filePath, caption, config) {
  * @param {string} caption - Post caption
  * @param {string} mediaType - 'photo' or 'video'
  * @param {Object} userSettings - User's platform credentials
+ * @param {Object} options - Per-post TikTok options (privacy_level, disable_comment,
+ *                           disable_duet, disable_stitch, branded_content,
+ *                           photo_title, photo_cover)
  */
-export async function postToTikTok(files, caption, mediaType, userSettings = {}) {
+export async function postToTikTok(files, caption, mediaType, userSettings = {}, options = {}) {
     try {
-        // TikTok only supports video
-        if (mediaType !== 'video') {
+        const config = {
+            accessToken: userSettings.tiktok_access_token,
+            openId: userSettings.tiktok_open_id,
+        };
+
+        const result = mediaType === 'photo'
+            ? await postPhotos(files, caption, options, config)
+            : await postVideo(files[0].path, caption, options, config);
+
+        if (result.status === 'FAILED') {
             return {
                 success: false,
                 platform: 'tiktok',
-                error: 'TikTok only supports video uploads',
+                publishId: result.publish_id,
+                status: result.status,
+                error: `TikTok publishing failed: ${result.fail_reason || 'Unknown error'}`,
             };
         }
 
+        return {
+            success: true,
+            platform: 'tiktok',
+            publishId: result.publish_id,
+            postId: result.publicaly_available_post_id?.[0], // (sic) TikTok's field name
+            status: result.status,
+            message: result.status === 'SEND_TO_USER_INBOX'
+                ? 'Post sent to your TikTok inbox'
+                : 'Successfully posted to TikTok',
+        };
+    } catch (error) {
+        const errorMessage = error.response?.data?.error?.message || error.message;
+        console.error('TikTok posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'tiktok',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Check the saved token by querying creator info
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function verifyTikTok(userSettings = {}) {
+    try {
         const config = {
             accessToken: userSettings.tiktok_access_token,
-            openId: userSettings.tiktok_open_id,
         };
 
-        const result = await postVideo(files[0].path, caption, config);
+        if (!config.accessToken) {
+            throw new Error('TikTok credentials not configured');
+        }
+
+        const creatorInfo = await queryCreatorInfo(config);
+        const expiresAt = Number(userSettings.tiktok_token_expires_at) || null;
 
         return {
-            success: true,
+            valid: true,
             platform: 'tiktok',
-            publishId: result.publish_id,
-            message: 'Video uploaded to TikTok (check your drafts)',
+            account: creatorInfo.creator_nickname
+                ? `${creatorInfo.creator_nickname} (@${creatorInfo.creator_username})`
+                : `@${creatorInfo.creator_username}`,
+            url: `https://www.tiktok.com/@${creatorInfo.creator_username}`,
+            // Scopes are only known for accounts added with Connect with TikTok
+            permissions: userSettings.tiktok_token_scope
+                ? String(userSettings.tiktok_token_scope).split(',')
+                : null,
+            expiresAt,
         };
     } catch (error) {
         const errorMessage = error.response?.data?.error?.message || error.message;
-        console.error('TikTok posting error:', errorMessage);
 
         return {
-            success: false,
+            valid: false,
             platform: 'tiktok',
             error: errorMessage,
         };
     }
 }
 
-export default { postToTikTok };
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'tiktok',
+    name: 'TikTok',
+    color: '#ff0050',
+    icon: 'M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z',
+    connect: { provider: 'tiktok', label: 'Connect with TikTok' },
+    fields: [
+        { name: 'access_token', label: 'Access Token', type: 'password', placeholder: 'act.xxxxxxxxx...', required: true },
+        { name: 'open_id', label: 'Open ID', type: 'text', placeholder: 'Your TikTok Open ID', required: true },
+        { name: 'refresh_token', label: 'Refresh Token (optional)', type: 'password', placeholder: 'rft.xxxxxxxxx... (renews the access token)' },
+    ],
+    postOptions: [
+        {
+            name: 'privacy_level',
+            label: 'Who can view',
+            type: 'select',
+            options: [
+                { value: '', label: 'Only me (default)' },
+                { value: 'PUBLIC_TO_EVERYONE', label: 'Everyone' },
+                { value: 'MUTUAL_FOLLOW_FRIENDS', label: 'Friends' },
+                { value: 'FOLLOWER_OF_CREATOR', label: 'Followers' },
+            ],
+        },
+        { name: 'disable_comment', label: 'Disable comments', type: 'checkbox' },
+        { name: 'disable_duet', label: 'Disable duets (videos)', type: 'checkbox' },
+        { name: 'disable_stitch', label: 'Disable stitches (videos)', type: 'checkbox' },
+        {
+            name: 'branded_content',
+            label: 'Content disclosure',
+            type: 'select',
+            options: [
+                { value: '', label: 'None' },
+                { value: 'your_brand', label: 'Promotes your own brand' },
+                { value: 'branded', label: 'Branded content (paid partnership)' },
+            ],
+        },
+        { name: 'photo_title', label: 'Photo post title (optional)', type: 'text', placeholder: 'Defaults to the first caption line' },
+        { name: 'photo_cover', label: 'Photo post cover image', type: 'text', placeholder: '1' },
+    ],
+    mediaTypes: ['photo', 'video'],
+    limits: {
+        maxPhotos: 35,
+        maxVideos: 1,
+        maxCaptionLength: 2200,
+    },
+    checkPost: checkTikTokPost,
+    publish: postToTikTok,
+    verify: verifyTikTok,
+};
+
+export default { postToTikTok, verifyTikTok, adapter };
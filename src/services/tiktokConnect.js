@@ -0,0 +1,135 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const TIKTOK_AUTH_URL = 'https://www.tiktok.com/v2/auth/authorize/';
+const TIKTOK_TOKEN_URL = 'https://open.tiktokapis.com/v2/oauth/token/';
+
+// Permissions needed to upload and publish on the creator's behalf
+const TIKTOK_SCOPES = ['user.info.basic', 'video.upload', 'video.publish'];
+
+/**
+ * The app's client key and secret, or null when TikTok connect isn't set up
+ * @returns {{clientKey: string, clientSecret: string}|null}
+ */
+export function getTikTokClient() {
+    if (!process.env.TIKTOK_CLIENT_KEY || !process.env.TIKTOK_CLIENT_SECRET) {
+        return null;
+    }
+
+    return {
+        clientKey: process.env.TIKTOK_CLIENT_KEY,
+        clientSecret: process.env.TIKTOK_CLIENT_SECRET,
+    };
+}
+
+/**
+ * App credentials and callback URL from the environment
+ */
+function getTikTokConfig() {
+    const client = getTikTokClient();
+    const baseUrl = process.env.PUBLIC_URL;
+
+    if (!client || !baseUrl) {
+        throw new Error('TikTok connect requires TIKTOK_CLIENT_KEY, TIKTOK_CLIENT_SECRET and PUBLIC_URL to be set');
+    }
+
+    return {
+        ...client,
+        redirectUri: `${baseUrl.replace(/\/$/, '')}/api/connect/tiktok/callback`,
+    };
+}
+
+/**
+ * Create a PKCE verifier and its challenge
+ * TikTok expects the SHA-256 of the verifier hex-encoded, not base64url.
+ */
+export function createTikTokPkce() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('hex');
+
+    return { codeVerifier, codeChallenge };
+}
+
+/**
+ * URL of the TikTok authorization page
+ * @param {string} state - Random value checked again in the callback
+ * @param {string} codeChallenge - From createTikTokPkce()
+ */
+export function getTikTokAuthUrl(state, codeChallenge) {
+    const config = getTikTokConfig();
+
+    const params = new URLSearchParams({
+        client_key: config.clientKey,
+        redirect_uri: config.redirectUri,
+        state,
+        scope: TIKTOK_SCOPES.join(','),
+        response_type: 'code',
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    });
+
+    return `${TIKTOK_AUTH_URL}?${params}`;
+}
+
+/**
+ * Call the token endpoint; TikTok reports errors in a 200 response body
+ */
+async function requestToken(params) {
+    const client = getTikTokClient();
+
+    if (!client) {
+        throw new Error('No TikTok client configured (TIKTOK_CLIENT_KEY, TIKTOK_CLIENT_SECRET)');
+    }
+
+    const response = await axios.post(
+        TIKTOK_TOKEN_URL,
+        new URLSearchParams({
+            client_key: client.clientKey,
+            client_secret: client.clientSecret,
+            ...params,
+        }).toString(),
+        {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        }
+    );
+
+    if (response.data.error) {
+        throw new Error(response.data.error_description || response.data.error);
+    }
+
+    const data = response.data;
+
+    return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token,
+        expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+        scope: data.scope,
+        openId: data.open_id,
+    };
+}
+
+/**
+ * Exchange the callback code for access and refresh tokens
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresAt: number|null, openId: string, scope: string}>}
+ */
+export async function exchangeTikTokCode(code, codeVerifier) {
+    return await requestToken({
+        code,
+        grant_type: 'authorization_code',
+        redirect_uri: getTikTokConfig().redirectUri,
+        code_verifier: codeVerifier,
+    });
+}
+
+/**
+ * Get a new access token (about 24 hours) from a refresh token (about a year)
+ * TikTok may rotate the refresh token, so store the one returned.
+ */
+export async function refreshTikTokToken(refreshToken) {
+    return await requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+    });
+}
+
+export default { getTikTokClient, createTikTokPkce, getTikTokAuthUrl, exchangeTikTokCode, refreshTikTokToken };
@@ -0,0 +1,130 @@
+import { AccountModel } from '../database/database.js';
+import { refreshTikTokToken, getTikTokClient } from './tiktokConnect.js';
+import { refreshGoogleToken, getGoogleClient } from './googleConnect.js';
+
+// Refresh this long before the access token actually expires
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Platforms whose access tokens expire, and how to renew them.
+ * Token state lives in the account's settings next to its credentials: access_token, refresh_token, token_expires_at (ms),
+ * token_scope and needs_reconnect (the reason, once a refresh has been
+ * rejected).
+ */
+const PROVIDERS = {
+    tiktok: {
+        name: 'TikTok',
+        canRefresh: () => !!getTikTokClient(),
+        refresh: settings => refreshTikTokToken(settings.refresh_token),
+    },
+    youtube: {
+        name: 'YouTube',
+        canRefresh: settings => !!getGoogleClient(settings),
+        refresh: settings => refreshGoogleToken(settings.refresh_token, getGoogleClient(settings)),
+    },
+};
+
+// Refreshes in flight, so concurrent posts don't spend a rotating refresh token twice
+const pending = new Map();
+
+/**
+ * Whether the stored access token is missing or about to expire
+ */
+function needsRefresh(settings) {
+    if (!settings.refresh_token) return false;
+    if (!settings.access_token || !settings.token_expires_at) return true;
+
+    return Number(settings.token_expires_at) - Date.now() < REFRESH_MARGIN;
+}
+
+/**
+ * Network failures and provider outages are worth retrying next time;
+ * anything else means the grant itself was rejected
+ */
+function isTransient(error) {
+    if (error.response) return error.response.status >= 500;
+    return !!error.code;
+}
+
+/**
+ * Refresh one account's token, saving the result or the reconnect flag
+ * @returns {Promise<string|null>} Why the account must be reconnected, or null
+ */
+async function refreshAccountToken(userId, accountId) {
+    const account = AccountModel.findForUser(accountId, userId);
+    const provider = account && PROVIDERS[account.platform];
+    const settings = account?.settings;
+
+    if (!provider) return null;
+    if (settings.needs_reconnect) return settings.needs_reconnect;
+    if (!needsRefresh(settings) || !provider.canRefresh(settings)) return null;
+
+    try {
+        const tokens = await provider.refresh(settings);
+
+        AccountModel.updateSettings(account.id, {
+            ...AccountModel.findForUser(account.id, userId).settings,
+            access_token: tokens.accessToken,
+            refresh_token: tokens.refreshToken || settings.refresh_token,
+            token_expires_at: tokens.expiresAt,
+            ...(tokens.scope ? { token_scope: tokens.scope } : {}),
+        });
+
+        return null;
+    } catch (error) {
+        const errorMessage = error.response?.data?.error_description
+            || error.response?.data?.error?.message
+            || error.message;
+        console.error(`${provider.name} token refresh error:`, errorMessage);
+
+        // Keep the current token and try again on the next post
+        if (isTransient(error)) return null;
+
+        const reason = `${provider.name} needs to be reconnected: ${errorMessage}`;
+        AccountModel.updateSettings(account.id, {
+            ...AccountModel.findForUser(account.id, userId).settings,
+            needs_reconnect: reason,
+        });
+
+        return reason;
+    }
+}
+
+/**
+ * Make sure the selected accounts have usable access tokens before posting
+ * @param {string} userId
+ * @param {string[]} accountIds - Accounts about to be posted to
+ * @returns {Promise<Object>} Reconnect reasons keyed by account id
+ */
+export async function refreshTokens(userId, accountIds) {
+    const reconnect = {};
+
+    for (const accountId of accountIds) {
+        if (!pending.has(accountId)) {
+            pending.set(accountId, refreshAccountToken(userId, accountId).finally(() => pending.delete(accountId)));
+        }
+
+        const reason = await pending.get(accountId);
+        if (reason) reconnect[accountId] = reason;
+    }
+
+    return reconnect;
+}
+
+/**
+ * Accounts currently flagged as needing reconnection
+ * @returns {Object} Reasons keyed by account id
+ */
+export function getReconnectStatus(userId) {
+    const reconnect = {};
+
+    AccountModel.getAllForUser(userId).forEach(account => {
+        if (PROVIDERS[account.platform] && account.settings.needs_reconnect) {
+            reconnect[account.id] = account.settings.needs_reconnect;
+        }
+    });
+
+    return reconnect;
+}
+
+export default { refreshTokens, getReconnectStatus };
@@ -1,59 +1,90 @@
-import { postToFacebook } from './facebook.js';
-import { postToTelegram } from './telegram.js';
-import { postToTikTok } from './tiktok.js';
-import { postToInstagram } from './instagram.js';
-import { isVideo } from '../utils/mediaHelper.js';
+import { getPlatform, checkPostSupport, getMaxPostFiles } from './platforms.js';
+import { getMediaType, getPostMediaType } from '../utils/mediaHelper.js';
+import config from '../config/config.js';
 
 /**
- * Post content to multiple platforms simultaneously
+ * Limits for uploaded post media: types and sizes from the config, and
+ * at most as many files as the largest album any platform accepts
+ */
+export const uploadConfig = { ...config.upload, maxPhotos: getMaxPostFiles() };
+
+/**
+ * Post content to several connected accounts simultaneously
  * @param {Object} options - Posting options
- * @param {string[]} options.platforms - Array of platform names
+ * @param {Object[]} options.accounts - Target accounts ({ id, platform, label, settings, locked }),
+ *                                      settings in the flat format services read
  * @param {Object[]} options.files - Array of uploaded files
  * @param {string} options.caption - Caption/message for the post
- * @param {Object} options.userSettings - User's platform credentials
- * @returns {Promise<Object[]>} Array of results per platform
+ * @param {Object} options.options - Post options keyed by account id
+ * @param {Object} options.reconnect - Reasons, keyed by account id, that an
+ *                                     account must be reconnected before posting
+ * @returns {Promise<Object[]>} Array of results per account, each with accountId and accountLabel
  */
-export async function postToAllPlatforms({ platforms, files, caption, userSettings = {} }) {
-    const mediaType = isVideo(files[0].mimetype) ? 'video' : 'photo';
+export async function postToAccounts({ accounts, files = [], caption, options = {}, reconnect = {} }) {
+    const mediaType = getPostMediaType(files);
     const results = [];
 
-    // Create posting promises for each selected platform
-    const postingPromises = platforms.map(async (platform) => {
-        switch (platform.toLowerCase()) {
-            case 'facebook':
-                return postToFacebook(files, caption, mediaType, userSettings);
-            case 'telegram':
-                return postToTelegram(files, caption, mediaType, userSettings);
-            case 'tiktok':
-                return postToTikTok(files, caption, mediaType, userSettings);
-            case 'instagram':
-                return postToInstagram(files, caption, mediaType, userSettings);
-            case 'youtube':
-                return {
-                    success: false,
-                    platform: 'youtube',
-                    error: 'YouTube integration coming soon',
-                };
-            default:
-                return {
-                    success: false,
-                    platform,
-                    error: `Unknown platform: ${platform}`,
-                };
+    // Services read per-file types for mixed albums
+    files.forEach(file => {
+        file.mediaType = getMediaType(file);
+    });
+
+    // Create posting promises for each selected account
+    const postingPromises = accounts.map(async (account) => {
+        const platform = getPlatform(account.platform);
+
+        if (!platform) {
+            return {
+                success: false,
+                platform: account.platform,
+                error: `Unknown platform: ${account.platform}`,
+            };
+        }
+
+        if (account.locked) {
+            return {
+                success: false,
+                platform: platform.id,
+                error: `Saved ${platform.name} credentials can't be decrypted, enter them again in Settings`,
+            };
         }
+
+        if (reconnect[account.id]) {
+            return {
+                success: false,
+                platform: platform.id,
+                needsReconnect: true,
+                error: reconnect[account.id],
+            };
+        }
+
+        const unsupported = checkPostSupport(platform, { files, caption, mediaType, options: options[account.id] || {} });
+        if (unsupported) {
+            return {
+                success: false,
+                platform: platform.id,
+                error: unsupported,
+            };
+        }
+
+        return platform.publish(files, caption, mediaType, account.settings, options[account.id] || {});
     });
 
     // Execute all posts concurrently
     const postResults = await Promise.allSettled(postingPromises);
 
     postResults.forEach((result, index) => {
+        const account = accounts[index];
+        const target = { accountId: account.id, accountLabel: account.label };
+
         if (result.status === 'fulfilled') {
-            results.push(result.value);
+            results.push({ ...result.value, ...target });
         } else {
             results.push({
                 success: false,
-                platform: platforms[index],
+                platform: account.platform,
                 error: result.reason?.message || 'Unknown error',
+                ...target,
             });
         }
     });
@@ -61,4 +92,4 @@ export async function postToAllPlatforms({ platforms, files, caption, userSettin
     return results;
 }
 
-export default { postToAllPlatforms };
+export default { uploadConfig, postToAccounts };
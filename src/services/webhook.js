@@ -0,0 +1,260 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import crypto from 'crypto';
+import fs from 'fs';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// JSON mode holds every file base64-encoded in memory; larger posts must use multipart
+const MAX_JSON_MEDIA_BYTES = 20 * 1024 * 1024;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether the server may connect to this IP address
+ * WEBHOOK_ALLOW_PRIVATE=true lifts the restriction for self-hosted
+ * setups that deliver to services on their own network.
+ */
+function isAllowedAddress(address) {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE === 'true') return true;
+
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return !BLOCKED_ADDRESSES.check(address, family);
+}
+
+/**
+ * DNS lookup for the webhook agents that refuses private addresses
+ * Checking at connect time (not only before sending) means a hostname
+ * can't resolve to a public address first and a private one later.
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => !isAllowedAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`Webhook host ${hostname} resolves to a private or reserved address`));
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Check the configured URL before any work is done
+ * IP literals skip DNS (and so the agents' lookup), so they are checked here.
+ */
+function assertPublicUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error('Webhook URL is not a valid URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Webhook URL must start with http:// or https://');
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isAllowedAddress(host)) {
+        throw new Error('Webhook URL points to a private or reserved address');
+    }
+}
+
+/**
+ * SHA-256 of a file, streamed from disk
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Sign "<timestamp>.<payload>" with the shared secret (HMAC-SHA256)
+ * Receivers recompute this to verify the request and reject stale timestamps.
+ */
+function signPayload(payload, timestamp, secret) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    return `sha256=${signature}`;
+}
+
+/**
+ * Describe the post; in multipart mode files travel as parts and are
+ * covered by the signature through their SHA-256 digests
+ */
+async function buildPayload(files, caption, mediaType, config) {
+    const media = [];
+
+    if (config.format === 'json') {
+        const totalSize = files.reduce((sum, file) => sum + fs.statSync(file.path).size, 0);
+        if (totalSize > MAX_JSON_MEDIA_BYTES) {
+            throw new Error(`JSON payloads are limited to ${MAX_JSON_MEDIA_BYTES / 1024 / 1024} MB of media, switch the webhook to multipart`);
+        }
+    }
+
+    for (const file of files) {
+        const entry = {
+            filename: file.originalname,
+            mimetype: file.mimetype,
+            mediaType: file.mediaType,
+            size: fs.statSync(file.path).size,
+            sha256: await hashFile(file.path),
+            ...(file.altText ? { altText: file.altText } : {}),
+        };
+
+        if (config.format === 'json') {
+            entry.data = fs.readFileSync(file.path).toString('base64');
+        }
+
+        media.push(entry);
+    }
+
+    return JSON.stringify({
+        event: 'post.created',
+        createdAt: new Date().toISOString(),
+        caption: caption || '',
+        mediaType,
+        media,
+    });
+}
+
+/**
+ * Send the post to the configured URL
+ */
+async function sendWebhook(files, caption, mediaType, config) {
+    const payload = await buildPayload(files, caption, mediaType, config);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const headers = {
+        'User-Agent': 'MediaPoster-Webhook/1.0',
+        'X-MediaPoster-Timestamp': timestamp,
+        ...(config.secret ? { 'X-MediaPoster-Signature': signPayload(payload, timestamp, config.secret) } : {}),
+    };
+
+    let body;
+
+    if (config.format === 'json') {
+        body = payload;
+        headers['Content-Type'] = 'application/json';
+    } else {
+        const form = new FormData();
+        form.append('payload', payload, { contentType: 'application/json' });
+        files.forEach((file, index) => {
+            form.append(`media${index}`, fs.createReadStream(file.path), {
+                filename: file.originalname,
+                contentType: file.mimetype,
+            });
+        });
+        body = form;
+        Object.assign(headers, form.getHeaders());
+    }
+
+    // Redirects are not followed, so a public endpoint can't bounce the request inwards
+    const response = await axios.post(config.url, body, {
+        headers,
+        httpAgent,
+        httpsAgent,
+        maxRedirects: 0,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+    });
+
+    return response;
+}
+
+/**
+ * Main posting function for generic webhooks
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video', 'mixed' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function postToWebhook(files, caption, mediaType, userSettings = {}) {
+    try {
+        const config = {
+            url: userSettings.webhook_url,
+            secret: userSettings.webhook_secret,
+            format: userSettings.webhook_format === 'json' ? 'json' : 'multipart',
+        };
+
+        if (!config.url) {
+            throw new Error('Webhook URL not configured');
+        }
+
+        assertPublicUrl(config.url);
+
+        const response = await sendWebhook(files, caption, mediaType, config);
+
+        // The receiver's response body is never passed back to the user
+        return {
+            success: true,
+            platform: 'webhook',
+            statusCode: response.status,
+            message: `Webhook delivered (HTTP ${response.status})`,
+        };
+    } catch (error) {
+        const errorMessage = error.response
+            ? `Webhook responded with HTTP ${error.response.status}`
+            : error.message;
+        console.error('Webhook posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'webhook',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'webhook',
+    name: 'Webhook',
+    color: '#10b981',
+    icon: 'M10.46 19a4 4 0 1 1-6.52-3.1l1.23 1.57A2 2 0 1 0 8.46 19v-1h7.08a2 2 0 1 1 0 2h-5.08zM12 3a4 4 0 0 1 3.77 5.33l-1.88-.68A2 2 0 1 0 11 9.66l-.5.87-3.54 6.12-1.73-1 3.04-5.26A4 4 0 0 1 12 3zm5.1 8.03a4 4 0 1 1-1.3 7.25l1.02-1.72a2 2 0 1 0 .72-3.41l-.87.5-3.54-6.12 1.73-1 2.54 4.4a4 4 0 0 1-.3.1z',
+    fields: [
+        { name: 'url', label: 'Endpoint URL', type: 'text', placeholder: 'https://example.com/hooks/media-poster', required: true },
+        { name: 'secret', label: 'Signing Secret (optional)', type: 'password', placeholder: 'Used for X-MediaPoster-Signature' },
+        {
+            name: 'format',
+            label: 'Payload Format',
+            type: 'select',
+            options: [
+                { value: 'multipart', label: 'Multipart (files as parts)' },
+                { value: 'json', label: 'JSON (files base64-encoded)' },
+            ],
+        },
+    ],
+    mediaTypes: ['photo', 'video', 'mixed', 'text'],
+    limits: {
+        maxPhotos: 10,
+        maxVideos: 10,
+    },
+    publish: postToWebhook,
+};
+
+export default { postToWebhook, adapter };
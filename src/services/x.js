@@ -0,0 +1,334 @@
+import axios from 'axios';
+import FormData from 'form-data';
+import crypto from 'crypto';
+import fs from 'fs';
+
+const MEDIA_UPLOAD_URL = 'https://api.x.com/2/media/upload';
+const MEDIA_METADATA_URL = 'https://api.x.com/2/media/metadata';
+const TWEETS_URL = 'https://api.x.com/2/tweets';
+
+const CHUNK_SIZE = 4 * 1024 * 1024; // 4MB (APPEND accepts up to 5MB)
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_GIF_SIZE = 15 * 1024 * 1024;
+const MAX_ALT_TEXT_LENGTH = 1000;
+const MAX_POST_WEIGHT = 280;
+const URL_WEIGHT = 23; // Every link is shortened to a t.co URL
+
+// Code points counted once; everything else (CJK, most emoji...) counts twice
+const LIGHT_RANGES = [[0x0000, 0x10FF], [0x2000, 0x200D], [0x2010, 0x201F], [0x2032, 0x2037]];
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+/**
+ * Length of a post as X counts it: links count as 23, an emoji (even a
+ * multi-code-point sequence) as 2, CJK and other wide characters as 2
+ */
+export function countWeightedLength(text) {
+    const normalized = (text || '').normalize('NFC');
+    let length = 0;
+
+    const withoutUrls = normalized.replace(URL_PATTERN, () => {
+        length += URL_WEIGHT;
+        return '';
+    });
+
+    const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+    for (const { segment } of segmenter.segment(withoutUrls)) {
+        if (EMOJI_PATTERN.test(segment)) {
+            length += 2;
+            continue;
+        }
+
+        for (const char of segment) {
+            const code = char.codePointAt(0);
+            length += LIGHT_RANGES.some(([from, to]) => code >= from && code <= to) ? 1 : 2;
+        }
+    }
+
+    return length;
+}
+
+/**
+ * Posts over X's length limit, counted the way X counts them
+ * @returns {string|null} Error message, or null if the post is supported
+ */
+function checkXPost({ caption }) {
+    return countWeightedLength(caption) > MAX_POST_WEIGHT
+        ? `X posts are limited to ${MAX_POST_WEIGHT} characters (links count as ${URL_WEIGHT}, emoji and CJK characters as 2)`
+        : null;
+}
+
+/**
+ * RFC 3986 percent-encoding, as required by OAuth 1.0a
+ */
+function percentEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Build an OAuth 1.0a Authorization header (HMAC-SHA1)
+ * Only query and form-urlencoded parameters are part of the signature;
+ * multipart and JSON bodies are not signed.
+ */
+export function buildAuthHeader(method, url, params, config) {
+    const oauth = {
+        oauth_consumer_key: config.apiKey,
+        oauth_nonce: crypto.randomBytes(16).toString('hex'),
+        oauth_signature_method: 'HMAC-SHA1',
+        oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+        oauth_token: config.accessToken,
+        oauth_version: '1.0',
+    };
+
+    const paramString = Object.entries({ ...params, ...oauth })
+        .map(([key, value]) => [percentEncode(key), percentEncode(String(value))])
+        .sort(([k1, v1], [k2, v2]) => (k1 === k2 ? (v1 < v2 ? -1 : 1) : (k1 < k2 ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    const baseString = [method.toUpperCase(), percentEncode(url), percentEncode(paramString)].join('&');
+    const signingKey = `${percentEncode(config.apiSecret)}&${percentEncode(config.accessTokenSecret)}`;
+    oauth.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+    return 'OAuth ' + Object.keys(oauth)
+        .sort()
+        .map(key => `${percentEncode(key)}="${percentEncode(oauth[key])}"`)
+        .join(', ');
+}
+
+/**
+ * Send a request signed with the user's OAuth 1.0a credentials
+ */
+async function signedRequest(method, url, config, { params = {}, data, headers = {} } = {}) {
+    const response = await axios({
+        method,
+        url,
+        params,
+        data,
+        headers: {
+            ...headers,
+            'Authorization': buildAuthHeader(method, url, params, config),
+        },
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+    });
+
+    return response.data;
+}
+
+/**
+ * Simple (single request) upload for still images
+ * @returns {Promise<string>} Media id
+ */
+async function uploadImage(file, config) {
+    const form = new FormData();
+    form.append('media', fs.createReadStream(file.path));
+    form.append('media_category', 'tweet_image');
+
+    const upload = await signedRequest('POST', MEDIA_UPLOAD_URL, config, {
+        data: form,
+        headers: form.getHeaders(),
+    });
+
+    return upload.data.id;
+}
+
+/**
+ * Wait for asynchronous media processing (videos and GIFs)
+ */
+async function waitForProcessing(mediaId, processingInfo, config, maxAttempts = 60) {
+    let info = processingInfo;
+
+    for (let i = 0; i < maxAttempts; i++) {
+        if (!info || info.state === 'succeeded') {
+            return;
+        }
+
+        if (info.state === 'failed') {
+            throw new Error(`Media processing failed: ${info.error?.message || 'Unknown error'}`);
+        }
+
+        // Wait as long as X asks before checking again
+        await new Promise(resolve => setTimeout(resolve, (info.check_after_secs || 5) * 1000));
+
+        const status = await signedRequest('GET', MEDIA_UPLOAD_URL, config, {
+            params: { command: 'STATUS', media_id: mediaId },
+        });
+        info = status.data?.processing_info;
+    }
+
+    throw new Error('Media processing timed out');
+}
+
+/**
+ * Chunked upload for videos and GIFs: INIT, APPEND (per chunk), FINALIZE, STATUS
+ * @returns {Promise<string>} Media id
+ */
+async function uploadChunked(file, mediaCategory, config) {
+    const fileSize = fs.statSync(file.path).size;
+
+    // Step 1: INIT
+    const init = await signedRequest('POST', `${MEDIA_UPLOAD_URL}/initialize`, config, {
+        data: {
+            total_bytes: fileSize,
+            media_type: file.mimetype,
+            media_category: mediaCategory,
+        },
+        headers: { 'Content-Type': 'application/json' },
+    });
+    const mediaId = init.data.id;
+
+    // Step 2: APPEND each chunk, streamed from disk
+    const totalChunks = Math.ceil(fileSize / CHUNK_SIZE);
+    for (let segmentIndex = 0; segmentIndex < totalChunks; segmentIndex++) {
+        const start = segmentIndex * CHUNK_SIZE;
+        const end = Math.min(start + CHUNK_SIZE, fileSize) - 1;
+
+        const form = new FormData();
+        form.append('segment_index', String(segmentIndex));
+        form.append('media', fs.createReadStream(file.path, { start, end }), {
+            filename: file.originalname || 'media',
+            knownLength: end - start + 1,
+        });
+
+        await signedRequest('POST', `${MEDIA_UPLOAD_URL}/${mediaId}/append`, config, {
+            data: form,
+            headers: form.getHeaders(),
+        });
+    }
+
+    // Step 3: FINALIZE
+    const finalize = await signedRequest('POST', `${MEDIA_UPLOAD_URL}/${mediaId}/finalize`, config);
+
+    // Step 4: STATUS until processing completes
+    await waitForProcessing(mediaId, finalize.data?.processing_info, config);
+
+    return mediaId;
+}
+
+/**
+ * Attach alt text to uploaded media
+ */
+async function setAltText(mediaId, altText, config) {
+    await signedRequest('POST', MEDIA_METADATA_URL, config, {
+        data: {
+            id: mediaId,
+            metadata: {
+                alt_text: { text: altText.slice(0, MAX_ALT_TEXT_LENGTH) },
+            },
+        },
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+/**
+ * Upload one file using the method X expects for its type
+ */
+async function uploadMedia(file, mediaType, config) {
+    const fileSize = fs.statSync(file.path).size;
+    let mediaId;
+
+    if (mediaType === 'video') {
+        mediaId = await uploadChunked(file, 'tweet_video', config);
+    } else if (file.mimetype === 'image/gif') {
+        if (fileSize > MAX_GIF_SIZE) {
+            throw new Error(`GIF ${file.originalname} exceeds X's 15MB limit`);
+        }
+        mediaId = await uploadChunked(file, 'tweet_gif', config);
+    } else {
+        if (fileSize > MAX_IMAGE_SIZE) {
+            throw new Error(`Image ${file.originalname} exceeds X's 5MB limit`);
+        }
+        mediaId = await uploadImage(file, config);
+    }
+
+    if (file.altText) {
+        await setAltText(mediaId, file.altText, config);
+    }
+
+    return mediaId;
+}
+
+/**
+ * Main posting function for X
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo', 'video' or 'text'
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function postToX(files, caption, mediaType, userSettings = {}) {
+    try {
+        const config = {
+            apiKey: userSettings.x_api_key,
+            apiSecret: userSettings.x_api_secret,
+            accessToken: userSettings.x_access_token,
+            accessTokenSecret: userSettings.x_access_token_secret,
+        };
+
+        if (!config.apiKey || !config.apiSecret || !config.accessToken || !config.accessTokenSecret) {
+            throw new Error('X credentials not configured');
+        }
+
+        // A GIF must be the only attachment
+        if (files.length > 1 && files.some(f => f.mimetype === 'image/gif')) {
+            throw new Error('X allows only one GIF per post, without other media');
+        }
+
+        // Upload sequentially to keep attachment order
+        const mediaIds = [];
+        for (const file of files) {
+            mediaIds.push(await uploadMedia(file, mediaType, config));
+        }
+
+        const tweet = await signedRequest('POST', TWEETS_URL, config, {
+            data: {
+                ...(caption ? { text: caption } : {}),
+                ...(mediaIds.length > 0 ? { media: { media_ids: mediaIds } } : {}),
+            },
+            headers: { 'Content-Type': 'application/json' },
+        });
+
+        return {
+            success: true,
+            platform: 'x',
+            postId: tweet.data.id,
+            url: `https://x.com/i/web/status/${tweet.data.id}`,
+            message: 'Successfully posted to X',
+        };
+    } catch (error) {
+        const data = error.response?.data;
+        const errorMessage = data?.detail || data?.errors?.[0]?.message || data?.title || error.message;
+        console.error('X posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'x',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'x',
+    name: 'X',
+    color: '#71767b',
+    icon: 'M18.901 1.153h3.68l-8.04 9.19L24 22.846h-7.406l-5.8-7.584-6.638 7.584H.474l8.6-9.83L0 1.154h7.594l5.243 6.932ZM17.61 20.644h2.039L6.486 3.24H4.298Z',
+    fields: [
+        { name: 'api_key', label: 'API Key', type: 'text', placeholder: 'Consumer key', required: true },
+        { name: 'api_secret', label: 'API Key Secret', type: 'password', placeholder: 'Consumer secret', required: true },
+        { name: 'access_token', label: 'Access Token', type: 'password', placeholder: '1234567890-xxxxxxxxx', required: true },
+        { name: 'access_token_secret', label: 'Access Token Secret', type: 'password', placeholder: 'xxxxxxxxx', required: true },
+    ],
+    mediaTypes: ['photo', 'video', 'text'],
+    limits: {
+        maxPhotos: 4,
+        maxVideos: 1,
+    },
+    checkPost: checkXPost,
+    publish: postToX,
+};
+
+export default { postToX, adapter };
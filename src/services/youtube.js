@@ -0,0 +1,308 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { getVideoInfo } from '../utils/mediaHelper.js';
+import { getGoogleClient, refreshGoogleToken } from './googleConnect.js';
+
+const YOUTUBE_UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS_LENGTH = 500;
+const SHORTS_MAX_DURATION = 180; // seconds
+const PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+const MAX_UPLOAD_ATTEMPTS = 5;
+
+/**
+ * Use the access token kept fresh by the token manager, or exchange the
+ * refresh token for a short-lived one
+ */
+async function getAccessToken(config) {
+    if (config.accessToken && Number(config.expiresAt) > Date.now()) {
+        return config.accessToken;
+    }
+
+    const tokens = await refreshGoogleToken(config.refreshToken, config.client);
+    return tokens.accessToken;
+}
+
+/**
+ * Collect unique hashtags from the caption, within YouTube's tag budget
+ */
+function extractTags(caption) {
+    const tags = [];
+    let totalLength = 0;
+
+    for (const match of (caption || '').matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+        const tag = match[1];
+        if (tags.some(t => t.toLowerCase() === tag.toLowerCase())) continue;
+        if (totalLength + tag.length + 1 > MAX_TAGS_LENGTH) break;
+
+        tags.push(tag);
+        totalLength += tag.length + 1;
+    }
+
+    return tags;
+}
+
+/**
+ * A video counts as a Short when it is vertical or square and
+ * no longer than YouTube's Shorts duration limit
+ */
+function isShortVideo(videoInfo) {
+    if (!videoInfo || !videoInfo.duration || !videoInfo.width) return false;
+    return videoInfo.duration <= SHORTS_MAX_DURATION && videoInfo.height >= videoInfo.width;
+}
+
+/**
+ * Build snippet/status metadata for the upload
+ * Title comes from the first caption line, description from the full caption
+ */
+function buildMetadata(file, caption, config, isShort) {
+    // YouTube rejects angle brackets in titles and descriptions
+    const text = (caption || '').replace(/[<>]/g, '');
+    const firstLine = text.split('\n').map(line => line.trim()).find(Boolean);
+    let title = (firstLine || path.parse(file.originalname || file.path).name).slice(0, MAX_TITLE_LENGTH);
+    let description = text.slice(0, MAX_DESCRIPTION_LENGTH);
+
+    if (isShort && !/#shorts\b/i.test(`${title} ${description}`)) {
+        if (title.length + ' #Shorts'.length <= MAX_TITLE_LENGTH) {
+            title = `${title} #Shorts`;
+        } else {
+            description = `${description}\n\n#Shorts`.trim().slice(0, MAX_DESCRIPTION_LENGTH);
+        }
+    }
+
+    return {
+        snippet: {
+            title,
+            description,
+            tags: extractTags(text),
+            categoryId: '22', // People & Blogs
+        },
+        status: {
+            privacyStatus: config.privacyStatus,
+            selfDeclaredMadeForKids: false,
+        },
+    };
+}
+
+/**
+ * Start a resumable upload session and return its session URI
+ */
+async function startResumableSession(metadata, fileSize, mimeType, accessToken) {
+    const response = await axios.post(
+        YOUTUBE_UPLOAD_URL,
+        metadata,
+        {
+            params: {
+                uploadType: 'resumable',
+                part: 'snippet,status',
+            },
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json; charset=UTF-8',
+                'X-Upload-Content-Length': fileSize,
+                'X-Upload-Content-Type': mimeType,
+            },
+        }
+    );
+
+    const sessionUrl = response.headers.location;
+    if (!sessionUrl) {
+        throw new Error('YouTube did not return an upload session URL');
+    }
+
+    return sessionUrl;
+}
+
+/**
+ * Ask the session how many bytes it has (after an interrupted upload)
+ * @returns {Promise<{done: boolean, data?: Object, offset?: number}>} offset is the next byte to send
+ */
+async function queryUploadStatus(sessionUrl, fileSize, accessToken) {
+    const response = await axios.put(sessionUrl, null, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Length': 0,
+            'Content-Range': `bytes */${fileSize}`,
+        },
+        maxRedirects: 0,
+        validateStatus: status => (status >= 200 && status < 300) || status === 308,
+    });
+
+    if (response.status !== 308) {
+        return { done: true, data: response.data };
+    }
+
+    // "bytes=0-12345" is what was received; no Range header means nothing was
+    const range = /bytes=0-(\d+)/.exec(response.headers.range || '');
+    return { done: false, offset: range ? Number(range[1]) + 1 : 0 };
+}
+
+/**
+ * Stream the video file to the resumable session, resuming from the last
+ * byte YouTube received when the connection drops or the server errors
+ */
+async function uploadVideoFile(sessionUrl, filePath, fileSize, mimeType, accessToken) {
+    let offset = 0;
+    let interrupted = false;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            // After an interruption, ask where to pick up before sending more
+            if (interrupted) {
+                const upload = await queryUploadStatus(sessionUrl, fileSize, accessToken);
+                if (upload.done) {
+                    return upload.data;
+                }
+                offset = upload.offset;
+                interrupted = false;
+            }
+
+            const response = await axios.put(sessionUrl, fs.createReadStream(filePath, { start: offset }), {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Content-Type': mimeType,
+                    'Content-Length': fileSize - offset,
+                    ...(offset > 0 && { 'Content-Range': `bytes ${offset}-${fileSize - 1}/${fileSize}` }),
+                },
+                maxContentLength: Infinity,
+                maxBodyLength: Infinity,
+            });
+
+            return response.data;
+        } catch (error) {
+            // Client errors (bad token, rejected metadata) won't succeed on resume;
+            // a failed status query counts as an attempt like a failed upload
+            const status = error.response?.status;
+            if (attempt >= MAX_UPLOAD_ATTEMPTS || (status >= 400 && status < 500)) {
+                throw error;
+            }
+            console.warn(`YouTube upload interrupted (attempt ${attempt}), resuming:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+            interrupted = true;
+        }
+    }
+}
+
+/**
+ * Upload a video to YouTube
+ */
+async function postVideo(file, caption, config) {
+    const accessToken = await getAccessToken(config);
+    const fileSize = fs.statSync(file.path).size;
+    const mimeType = file.mimetype || 'video/mp4';
+    const isShort = isShortVideo(getVideoInfo(file.path));
+
+    // Step 1: Create the upload session with video metadata
+    const metadata = buildMetadata(file, caption, config, isShort);
+    const sessionUrl = await startResumableSession(metadata, fileSize, mimeType, accessToken);
+
+    // Step 2: Upload the video bytes
+    const video = await uploadVideoFile(sessionUrl, file.path, fileSize, mimeType, accessToken);
+
+    return { ...video, isShort };
+}
+
+/**
+ * Main posting function for YouTube
+ * @param {Object[]} files - Array of uploaded files
+ * @param {string} caption - Post caption
+ * @param {string} mediaType - 'photo' or 'video'
+ * @param {Object} userSettings - User's platform credentials
+ */
+export async function postToYouTube(files, caption, mediaType, userSettings = {}) {
+    try {
+        // YouTube only supports video
+        if (mediaType !== 'video') {
+            return {
+                success: false,
+                platform: 'youtube',
+                error: 'YouTube only supports video uploads',
+            };
+        }
+
+        const config = {
+            client: getGoogleClient({
+                client_id: userSettings.youtube_client_id,
+                client_secret: userSettings.youtube_client_secret,
+            }),
+            refreshToken: userSettings.youtube_refresh_token,
+            accessToken: userSettings.youtube_access_token,
+            expiresAt: userSettings.youtube_token_expires_at,
+            privacyStatus: PRIVACY_STATUSES.includes(userSettings.youtube_privacy_status)
+                ? userSettings.youtube_privacy_status
+                : 'private',
+        };
+
+        if (!config.client || !config.refreshToken) {
+            throw new Error('YouTube credentials not configured');
+        }
+
+        const result = await postVideo(files[0], caption, config);
+
+        return {
+            success: true,
+            platform: 'youtube',
+            postId: result.id,
+            url: result.isShort
+                ? `https://youtube.com/shorts/${result.id}`
+                : `https://www.youtube.com/watch?v=${result.id}`,
+            isShort: result.isShort,
+            message: result.isShort
+                ? 'Successfully posted to YouTube Shorts'
+                : 'Successfully posted to YouTube',
+        };
+    } catch (error) {
+        // OAuth errors use error_description, Data API errors use error.message
+        const errorMessage = error.response?.data?.error_description
+            || error.response?.data?.error?.message
+            || error.message;
+        console.error('YouTube posting error:', errorMessage);
+
+        return {
+            success: false,
+            platform: 'youtube',
+            error: errorMessage,
+        };
+    }
+}
+
+/**
+ * Platform adapter registered in services/platforms.js
+ */
+export const adapter = {
+    id: 'youtube',
+    name: 'YouTube',
+    color: '#ff0000',
+    icon: 'M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z',
+    connect: { provider: 'google', label: 'Connect with Google' },
+    fields: [
+        { name: 'client_id', label: 'Client ID (optional)', type: 'text', placeholder: 'Not needed with Connect with Google' },
+        { name: 'client_secret', label: 'Client Secret (optional)', type: 'password', placeholder: 'GOCSPX-xxxxxxxxx' },
+        { name: 'refresh_token', label: 'Refresh Token', type: 'password', placeholder: '1//xxxxxxxxx', required: true },
+        {
+            name: 'privacy_status',
+            label: 'Privacy',
+            type: 'select',
+            options: [
+                { value: 'private', label: 'Private' },
+                { value: 'unlisted', label: 'Unlisted' },
+                { value: 'public', label: 'Public' },
+            ],
+        },
+    ],
+    isConfigured: settings => !!settings.youtube_refresh_token && !!getGoogleClient({
+        client_id: settings.youtube_client_id,
+        client_secret: settings.youtube_client_secret,
+    }),
+    mediaTypes: ['video'],
+    limits: {
+        maxVideos: 1,
+        maxCaptionLength: MAX_DESCRIPTION_LENGTH,
+    },
+    publish: postToYouTube,
+};
+
+export default { postToYouTube, adapter };
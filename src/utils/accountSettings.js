@@ -0,0 +1,92 @@
+/**
+ * Keep only the declared columns of a list field, dropping empty rows
+ */
+function normalizeListValue(field, value) {
+    if (!Array.isArray(value)) return [];
+
+    return value
+        .filter(row => row && typeof row === 'object')
+        .map(row => Object.fromEntries(
+            field.columns.map(column => [column.name, String(row[column.name] ?? '').trim()])
+        ))
+        .filter(row => Object.values(row).some(v => v.length > 0));
+}
+
+/**
+ * Masked form of a stored secret: whether it is set, and its last
+ * 4 characters when it is long enough for that not to give it away
+ */
+export function maskSecret(value) {
+    const secret = String(value || '');
+
+    return {
+        set: secret.length > 0,
+        last4: secret.length >= 12 ? secret.slice(-4) : '',
+    };
+}
+
+/**
+ * Declared fields of an account's stored settings, as shown in the form
+ * (password fields masked; they are never sent back in full)
+ */
+export function formSettings(platform, stored) {
+    return Object.fromEntries(platform.fields.map(field => [
+        field.name,
+        field.type === 'password'
+            ? maskSecret(stored[field.name])
+            : stored[field.name] || (field.type === 'list' ? [] : ''),
+    ]));
+}
+
+/**
+ * Declared fields of a submitted account, normalized for storage
+ * Password fields are write-only: left empty they are omitted (keeping
+ * the stored value) unless listed in `clear`.
+ */
+export function submittedSettings(platform, submitted = {}, clear = []) {
+    const settings = {};
+    platform.fields.forEach(field => {
+        if (field.type === 'password') {
+            if (clear.includes(field.name)) {
+                settings[field.name] = '';
+            } else if (typeof submitted[field.name] === 'string' && submitted[field.name].length > 0) {
+                settings[field.name] = submitted[field.name];
+            }
+            return;
+        }
+
+        if (submitted[field.name] !== undefined) {
+            settings[field.name] = field.type === 'list'
+                ? normalizeListValue(field, submitted[field.name])
+                : submitted[field.name];
+        }
+    });
+    return settings;
+}
+
+/**
+ * Carry over what the form doesn't send: secrets left untouched, and
+ * OAuth token state and the reconnect flag unless the user replaced or
+ * cleared a credential by hand
+ */
+export function mergeHiddenSettings(platform, existing, updated) {
+    const secrets = platform.fields.filter(field => field.type === 'password');
+
+    const untouched = Object.fromEntries(secrets
+        .filter(field => updated[field.name] === undefined && existing[field.name] !== undefined)
+        .map(field => [field.name, existing[field.name]]));
+
+    const credentialChanged = secrets.some(field => updated[field.name] !== undefined
+        && updated[field.name] !== (existing[field.name] || ''));
+
+    if (credentialChanged) {
+        return { ...untouched, ...updated };
+    }
+
+    const declared = new Set(platform.fields.map(field => field.name));
+    const hidden = Object.fromEntries(Object.entries(existing).filter(([key]) => !declared.has(key)));
+
+    return { ...hidden, ...untouched, ...updated };
+}
+
+export default { maskSecret, formSettings, submittedSettings, mergeHiddenSettings };
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+/**
+ * Parse a base64 master key (openssl rand -base64 32)
+ * @returns {{id: string, key: Buffer}} id is a short fingerprint stored next to
+ *          each wrapped data key, so rows can say which master key they need
+ */
+function parseKey(value, name) {
+    const key = Buffer.from(value.trim(), 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`${name} must be ${KEY_LENGTH} bytes, base64-encoded (openssl rand -base64 32)`);
+    }
+
+    return {
+        id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16),
+        key,
+    };
+}
+
+/**
+ * Master keys from the environment: CREDENTIALS_KEY encrypts,
+ * CREDENTIALS_KEY_PREVIOUS (comma-separated) can still decrypt after a rotation
+ */
+function getMasterKeys() {
+    const current = process.env.CREDENTIALS_KEY
+        ? parseKey(process.env.CREDENTIALS_KEY, 'CREDENTIALS_KEY')
+        : null;
+
+    const previous = (process.env.CREDENTIALS_KEY_PREVIOUS || '')
+        .split(',')
+        .filter(value => value.trim())
+        .map(value => parseKey(value, 'CREDENTIALS_KEY_PREVIOUS'));
+
+    return { current, all: [current, ...previous].filter(Boolean) };
+}
+
+/**
+ * AES-256-GCM with the account id as associated data, so ciphertext
+ * copied onto another account row fails to decrypt
+ */
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+function open(key, sealed, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+}
+
+/**
+ * Unwrap an envelope's data key with whichever master key wrapped it
+ */
+function unwrapDataKey(envelope, accountId) {
+    const master = getMasterKeys().all.find(candidate => candidate.id === envelope.kid);
+
+    if (!master) {
+        throw new Error(`Credentials are encrypted with key ${envelope.kid}, which is not in CREDENTIALS_KEY or CREDENTIALS_KEY_PREVIOUS`);
+    }
+
+    try {
+        return open(master.key, envelope.key, accountId);
+    } catch (error) {
+        throw new Error(`Credentials of account ${accountId} could not be decrypted (${error.message})`);
+    }
+}
+
+/**
+ * Whether a stored settings value is an encrypted envelope
+ */
+function parseEnvelope(json) {
+    const parsed = JSON.parse(json);
+    return parsed && parsed.$enc ? { envelope: parsed.$enc } : { settings: parsed };
+}
+
+/**
+ * Whether new credentials are encrypted (CREDENTIALS_KEY is set)
+ */
+export function isEncryptionEnabled() {
+    return !!getMasterKeys().current;
+}
+
+/**
+ * Serialize an account's settings for storage
+ * Each account gets its own random data key, which encrypts the settings
+ * and is itself wrapped by the master key. Without CREDENTIALS_KEY the
+ * settings are stored as plain JSON.
+ * @param {Object} settings - The account's credentials and token state
+ * @param {string} accountId - Bound to the ciphertext
+ * @returns {string} Value for settings_json
+ */
+export function encryptSettings(settings, accountId) {
+    const { current } = getMasterKeys();
+
+    if (!current) {
+        return JSON.stringify(settings);
+    }
+
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+    return JSON.stringify({
+        $enc: {
+            v: 1,
+            kid: current.id,
+            key: seal(current.key, dataKey, accountId),
+            ...seal(dataKey, Buffer.from(JSON.stringify(settings)), accountId),
+        },
+    });
+}
+
+/**
+ * Read settings stored by encryptSettings (plain JSON rows pass through)
+ * @returns {Object}
+ */
+export function decryptSettings(json, accountId) {
+    const { envelope, settings } = parseEnvelope(json);
+
+    if (!envelope) {
+        return settings;
+    }
+
+    const dataKey = unwrapDataKey(envelope, accountId);
+
+    try {
+        return JSON.parse(open(dataKey, envelope, accountId).toString('utf8'));
+    } catch (error) {
+        throw new Error(`Credentials of account ${accountId} could not be decrypted (${error.message})`);
+    }
+}
+
+/**
+ * Bring stored settings up to the current master key: plain rows are
+ * encrypted and data keys wrapped by an older key are re-wrapped (the
+ * settings ciphertext itself stays as is)
+ * @returns {string|null} New value for settings_json, or null if already current
+ */
+export function reencryptSettings(json, accountId) {
+    const { current } = getMasterKeys();
+
+    if (!current) {
+        throw new Error('CREDENTIALS_KEY is not set');
+    }
+
+    const { envelope, settings } = parseEnvelope(json);
+
+    if (!envelope) {
+        return encryptSettings(settings, accountId);
+    }
+
+    if (envelope.kid === current.id) {
+        return null;
+    }
+
+    const dataKey = unwrapDataKey(envelope, accountId);
+
+    return JSON.stringify({
+        $enc: {
+            ...envelope,
+            kid: current.id,
+            key: seal(current.key, dataKey, accountId),
+        },
+    });
+}
+
+// Key for short-lived secrets parked in the session (e.g. Meta Page tokens
+// between the OAuth callback and the Page picker); it never leaves memory,
+// so a restart makes them unreadable, which only means connecting again
+const TRANSIENT_KEY = crypto.randomBytes(KEY_LENGTH);
+
+/**
+ * Encrypt a value that is only needed for a few minutes
+ * @param {*} value - Anything JSON-serializable
+ * @param {string} aad - Bound to the ciphertext (e.g. the user id)
+ * @param {number} ttlMs - How long decryptTransient accepts it
+ * @returns {Object} Sealed value, safe to keep in the session store
+ */
+export function encryptTransient(value, aad, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    return { expiresAt, ...seal(TRANSIENT_KEY, Buffer.from(JSON.stringify(value)), `${aad}:${expiresAt}`) };
+}
+
+/**
+ * Read a value sealed by encryptTransient
+ * @returns {*} The value, or null once expired or if it can't be decrypted
+ */
+export function decryptTransient(sealed, aad) {
+    if (!sealed || !(sealed.expiresAt > Date.now())) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(open(TRANSIENT_KEY, sealed, `${aad}:${sealed.expiresAt}`).toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+export default {
+    isEncryptionEnabled,
+    encryptSettings,
+    decryptSettings,
+    reencryptSettings,
+    encryptTransient,
+    decryptTransient,
+};
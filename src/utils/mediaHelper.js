@@ -1,5 +1,16 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Get directory name for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Signed media URLs stay valid for an hour unless MEDIA_URL_TTL (seconds) says otherwise
+const DEFAULT_MEDIA_URL_TTL = 60 * 60;
 
 /**
  * Get file extension from filename
@@ -22,6 +33,22 @@ export function isVideo(mimetype) {
     return mimetype.startsWith('video/');
 }
 
+/**
+ * Media type of a single file: 'photo' or 'video'
+ */
+export function getMediaType(file) {
+    return isVideo(file.mimetype) ? 'video' : 'photo';
+}
+
+/**
+ * Media type of a whole post: 'photo', 'video', 'mixed' for albums
+ * that combine both, or 'text' when there are no files
+ */
+export function getPostMediaType(files) {
+    const types = new Set((files || []).map(getMediaType));
+    return types.size > 1 ? 'mixed' : (types.values().next().value || 'text');
+}
+
 /**
  * Delete uploaded files
  */
@@ -40,33 +67,88 @@ export function cleanupFiles(files) {
 }
 
 /**
- * Validate media files
+ * Secret used to sign media URLs (falls back to the session secret)
  */
-export function validateMedia(files, config) {
-    const errors = [];
+function getMediaUrlSecret() {
+    return process.env.MEDIA_URL_SECRET
+        || process.env.SESSION_SECRET
+        || 'media-poster-dev-secret-change-in-production';
+}
 
-    if (!files || files.length === 0) {
-        errors.push('No media files provided');
-        return errors;
+/**
+ * HMAC-SHA256 over "<relative path>:<expiry>"
+ */
+function signMediaPath(relativePath, expires) {
+    return crypto.createHmac('sha256', getMediaUrlSecret())
+        .update(`${relativePath}:${expires}`)
+        .digest('hex');
+}
+
+/**
+ * Build a signed, expiring public URL for a locally uploaded file.
+ * Platforms that fetch media themselves (Instagram, Threads, TikTok photos) need this.
+ * Requires PUBLIC_URL env var or a deployed server.
+ */
+export function getPublicMediaUrl(filePath) {
+    const baseUrl = process.env.PUBLIC_URL;
+    if (!baseUrl) {
+        throw new Error(
+            'Instagram, Threads and TikTok photo posts require PUBLIC_URL environment variable to be set. ' +
+            'Set it to your server\'s public URL (e.g., https://your-app.railway.app) ' +
+            'or use ngrok for local testing.'
+        );
     }
 
-    const hasImages = files.some(f => isImage(f.mimetype));
-    const hasVideos = files.some(f => isVideo(f.mimetype));
+    // Path inside the uploads directory, e.g. "scheduled/<userId>/media-123.jpg"
+    const relativePath = path.relative(UPLOADS_DIR, path.resolve(filePath)).split(path.sep).join('/');
+    if (relativePath === '..' || relativePath.startsWith('../') || path.isAbsolute(relativePath)) {
+        throw new Error(`File is outside the uploads directory: ${filePath}`);
+    }
 
-    // Cannot mix photos and videos
-    if (hasImages && hasVideos) {
-        errors.push('Cannot mix photos and videos in a single post');
-        return errors;
+    const ttl = parseInt(process.env.MEDIA_URL_TTL, 10) || DEFAULT_MEDIA_URL_TTL;
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const signature = signMediaPath(relativePath, expires);
+
+    const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+    return `${baseUrl.replace(/\/$/, '')}/media/${encodedPath}?expires=${expires}&signature=${signature}`;
+}
+
+/**
+ * Check a signed media URL; returns an error message, or null if valid
+ */
+export function verifyMediaSignature(relativePath, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || typeof signature !== 'string') {
+        return 'Missing or malformed signature';
+    }
+
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+        return 'Link has expired';
+    }
+
+    const expected = Buffer.from(signMediaPath(relativePath, expiresAt), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Invalid signature';
     }
 
-    // Check photo count
-    if (hasImages && files.length > config.upload.maxPhotos) {
-        errors.push(`Maximum ${config.upload.maxPhotos} photos allowed`);
+    return null;
+}
+
+/**
+ * Validate media files
+ */
+export function validateMedia(files, config) {
+    const errors = [];
+
+    // Text-only posts have no files to check
+    if (!files || files.length === 0) {
+        return errors;
     }
 
-    // Check video count
-    if (hasVideos && files.length > 1) {
-        errors.push('Only one video per post is allowed');
+    // Photos and videos may be mixed; per-platform limits are checked when posting
+    if (files.length > config.upload.maxPhotos) {
+        errors.push(`Maximum ${config.upload.maxPhotos} files allowed per post`);
     }
 
     // Validate file types and sizes
@@ -92,3 +174,161 @@ export function validateMedia(files, config) {
 
     return errors;
 }
+
+/**
+ * Iterate over ISO-BMFF (MP4/MOV) boxes between two offsets of a buffer
+ */
+function* iterateBoxes(buffer, start = 0, end = buffer.length) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+
+        if (size < headerSize || offset + size > end) return;
+
+        yield { type, start: offset + headerSize, end: offset + size };
+        offset += size;
+    }
+}
+
+/**
+ * Extract duration and display dimensions from a moov box
+ */
+function parseMoov(moov) {
+    const info = { duration: null, width: 0, height: 0 };
+
+    for (const box of iterateBoxes(moov)) {
+        if (box.type === 'mvhd') {
+            const version = moov.readUInt8(box.start);
+            const timescale = moov.readUInt32BE(box.start + (version === 1 ? 20 : 12));
+            const duration = version === 1
+                ? Number(moov.readBigUInt64BE(box.start + 24))
+                : moov.readUInt32BE(box.start + 16);
+            info.duration = timescale ? duration / timescale : null;
+        } else if (box.type === 'trak') {
+            for (const child of iterateBoxes(moov, box.start, box.end)) {
+                if (child.type !== 'tkhd') continue;
+
+                const version = moov.readUInt8(child.start);
+                const matrixOffset = child.start + (version === 1 ? 52 : 40);
+                const a = moov.readInt32BE(matrixOffset);
+                const b = moov.readInt32BE(matrixOffset + 4);
+                let width = moov.readUInt32BE(matrixOffset + 36) / 65536;
+                let height = moov.readUInt32BE(matrixOffset + 40) / 65536;
+
+                // Phones store portrait video as rotated landscape
+                if (a === 0 && b !== 0) {
+                    [width, height] = [height, width];
+                }
+
+                // Audio tracks have no dimensions; keep the largest video track
+                if (width * height > info.width * info.height) {
+                    info.width = width;
+                    info.height = height;
+                }
+            }
+        }
+    }
+
+    return info;
+}
+
+/**
+ * Read duration (seconds) and display dimensions from an MP4/MOV file.
+ * Only the moov box is loaded into memory. Returns null if the file
+ * can't be parsed.
+ */
+export function getVideoInfo(filePath) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const fileSize = fs.fstatSync(fd).size;
+        const header = Buffer.alloc(16);
+        let offset = 0;
+
+        while (offset + 8 <= fileSize) {
+            fs.readSync(fd, header, 0, 16, offset);
+            let size = header.readUInt32BE(0);
+            const type = header.toString('latin1', 4, 8);
+            let headerSize = 8;
+
+            if (size === 1) {
+                size = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = fileSize - offset;
+            }
+
+            if (size < headerSize) break;
+
+            if (type === 'moov') {
+                const moov = Buffer.alloc(size - headerSize);
+                fs.readSync(fd, moov, 0, moov.length, offset + headerSize);
+                return parseMoov(moov);
+            }
+
+            offset += size;
+        }
+
+        return null;
+    } catch (err) {
+        return null;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+/**
+ * Parse per-file media metadata sent by the composer
+ * @param {Object[]|string} raw - [{ altText, focus: { x, y } }] or its JSON
+ * @returns {Object[]} Sanitized metadata, one entry per file
+ */
+export function parseMediaMeta(raw) {
+    let input = raw;
+    if (typeof raw === 'string') {
+        try {
+            input = JSON.parse(raw);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    if (!Array.isArray(input)) return [];
+
+    return input.map(meta => {
+        const entry = {};
+        if (meta && typeof meta.altText === 'string' && meta.altText.trim()) {
+            entry.altText = meta.altText.trim();
+        }
+        // Focal point uses Mastodon's convention: x and y in [-1, 1], y pointing up
+        const x = Number(meta?.focus?.x);
+        const y = Number(meta?.focus?.y);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+            entry.focus = {
+                x: Math.max(-1, Math.min(1, x)),
+                y: Math.max(-1, Math.min(1, y)),
+            };
+        }
+        return entry;
+    });
+}
+
+/**
+ * Attach alt text and focal points to uploaded files (in upload order)
+ */
+export function attachMediaMeta(files, mediaMeta = []) {
+    if (!files) return files;
+
+    files.forEach((file, index) => {
+        Object.assign(file, mediaMeta[index] || {});
+    });
+    return files;
+}
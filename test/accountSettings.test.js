@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    maskSecret,
+    formSettings,
+    submittedSettings,
+    mergeHiddenSettings,
+} from '../src/utils/accountSettings.js';
+
+// Shaped like an adapter's fields, without pulling in the registry
+const platform = {
+    id: 'example',
+    fields: [
+        { name: 'handle', type: 'text' },
+        { name: 'app_password', type: 'password' },
+        { name: 'client_secret', type: 'password' },
+        { name: 'mode', type: 'select', options: [{ value: 'a' }, { value: 'b' }] },
+        { name: 'chats', type: 'list', columns: [{ name: 'chat_id' }, { name: 'label' }] },
+    ],
+};
+
+test('maskSecret only reveals the last 4 characters of long secrets', () => {
+    assert.deepEqual(maskSecret('abcdefghijkl'), { set: true, last4: 'ijkl' });
+    assert.deepEqual(maskSecret('short-pass'), { set: true, last4: '' });
+    assert.deepEqual(maskSecret(''), { set: false, last4: '' });
+    assert.deepEqual(maskSecret(undefined), { set: false, last4: '' });
+});
+
+test('formSettings masks secrets and drops undeclared state', () => {
+    const form = formSettings(platform, {
+        handle: 'me',
+        app_password: 'xxxx-yyyy-zzzz',
+        accessToken: 'hidden-token',
+    });
+
+    assert.deepEqual(form, {
+        handle: 'me',
+        app_password: { set: true, last4: 'zzzz' },
+        client_secret: { set: false, last4: '' },
+        mode: '',
+        chats: [],
+    });
+});
+
+test('submittedSettings omits empty secrets and clears the listed ones', () => {
+    const settings = submittedSettings(platform, {
+        handle: 'me',
+        app_password: '',
+        client_secret: 'ignored because cleared',
+        mode: 'b',
+        unknown: 'dropped',
+    }, ['client_secret']);
+
+    assert.deepEqual(settings, { handle: 'me', client_secret: '', mode: 'b' });
+});
+
+test('submittedSettings keeps new secrets and normalizes list rows', () => {
+    const settings = submittedSettings(platform, {
+        app_password: 'new-password',
+        chats: [{ chat_id: ' -100 ', label: 'News', extra: 'x' }, { chat_id: '', label: ' ' }, 'junk'],
+    });
+
+    assert.deepEqual(settings, {
+        app_password: 'new-password',
+        chats: [{ chat_id: '-100', label: 'News' }],
+    });
+});
+
+test('mergeHiddenSettings keeps untouched secrets and token state', () => {
+    const existing = {
+        handle: 'me',
+        app_password: 'old-password',
+        client_secret: 'old-secret',
+        accessToken: 'token',
+        needsReconnect: '',
+    };
+
+    const merged = mergeHiddenSettings(platform, existing, { handle: 'renamed', mode: 'a' });
+
+    assert.deepEqual(merged, {
+        handle: 'renamed',
+        mode: 'a',
+        app_password: 'old-password',
+        client_secret: 'old-secret',
+        accessToken: 'token',
+        needsReconnect: '',
+    });
+});
+
+test('mergeHiddenSettings drops token state when a credential changes', () => {
+    const existing = { handle: 'me', app_password: 'old-password', client_secret: 'old-secret', accessToken: 'token' };
+
+    assert.deepEqual(mergeHiddenSettings(platform, existing, { app_password: 'new-password' }), {
+        client_secret: 'old-secret',
+        app_password: 'new-password',
+    });
+
+    assert.deepEqual(mergeHiddenSettings(platform, existing, { client_secret: '' }), {
+        app_password: 'old-password',
+        client_secret: '',
+    });
+});
+
+test('resubmitting the same secret is not a credential change', () => {
+    const existing = { app_password: 'same-password', accessToken: 'token' };
+
+    assert.deepEqual(mergeHiddenSettings(platform, existing, { app_password: 'same-password' }), {
+        app_password: 'same-password',
+        accessToken: 'token',
+    });
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios, { AxiosError } from 'axios';
+import { buildFacets } from '../src/services/bluesky.js';
+
+const session = { pdsUrl: 'https://pds.example.com' };
+const handles = { 'alice.bsky.social': 'did:plc:alice' };
+
+let originalAdapter;
+let resolved;
+
+beforeEach(() => {
+    originalAdapter = axios.defaults.adapter;
+    resolved = [];
+
+    // Only handle resolution goes over the network
+    axios.defaults.adapter = async (config) => {
+        const handle = config.params.handle;
+        resolved.push(handle);
+
+        if (!handles[handle]) {
+            throw new AxiosError('Unable to resolve handle', 'ERR_BAD_REQUEST', config, null, { status: 400, data: {} });
+        }
+        return { status: 200, statusText: 'OK', headers: {}, data: { did: handles[handle] }, config };
+    };
+});
+
+afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+});
+
+const ranges = facets => facets.map(facet => [facet.index.byteStart, facet.index.byteEnd, facet.features[0].$type.split('#')[1]]);
+
+test('facet ranges are UTF-8 byte offsets, after emoji and accents', async () => {
+    const text = '👋 héllo https://bsky.app/profile, #café @alice.bsky.social';
+
+    const facets = await buildFacets(text, session);
+
+    assert.deepEqual(ranges(facets), [
+        [12, 36, 'link'],
+        [38, 44, 'tag'],
+        [45, 63, 'mention'],
+    ]);
+    assert.equal(facets[0].features[0].uri, 'https://bsky.app/profile');
+    assert.equal(facets[1].features[0].tag, 'café');
+    assert.equal(facets[2].features[0].did, 'did:plc:alice');
+
+    // The ranges cut the encoded text exactly at the features
+    const bytes = Buffer.from(text, 'utf8');
+    assert.deepEqual(facets.map(facet => bytes.subarray(facet.index.byteStart, facet.index.byteEnd).toString('utf8')),
+        ['https://bsky.app/profile', '#café', '@alice.bsky.social']);
+});
+
+test('mentions that do not resolve get no facet', async () => {
+    const facets = await buildFacets('hi @ghost.example.com and @alice.bsky.social', session);
+
+    assert.deepEqual(resolved, ['ghost.example.com', 'alice.bsky.social']);
+    assert.deepEqual(ranges(facets), [[26, 44, 'mention']]);
+});
+
+test('links stop before trailing punctuation', async () => {
+    const facets = await buildFacets('See (https://example.com/a?b=1). Or https://example.com!', session);
+
+    assert.deepEqual(facets.map(facet => facet.features[0].uri), ['https://example.com/a?b=1', 'https://example.com']);
+});
+
+test('hashtags need a letter, a leading space and at most 64 characters', async () => {
+    const long = 'a'.repeat(65);
+    const facets = await buildFacets(`#2024 #tag_1 mid#word #${long} #日本`, session);
+
+    assert.deepEqual(facets.map(facet => facet.features[0].tag), ['tag_1', '日本']);
+});
+
+test('text without links, mentions or tags has no facets', async () => {
+    assert.deepEqual(await buildFacets('Just words 🙂', session), []);
+});
@@ -0,0 +1,101 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+    isEncryptionEnabled,
+    encryptSettings,
+    decryptSettings,
+    reencryptSettings,
+} from '../src/utils/credentialCipher.js';
+
+const KEY_A = crypto.randomBytes(32).toString('base64');
+const KEY_B = crypto.randomBytes(32).toString('base64');
+
+const settings = { bot_token: '123456:secret-token', chats: [{ chat_id: '-100', label: 'News' }] };
+
+beforeEach(() => {
+    process.env.CREDENTIALS_KEY = KEY_A;
+    delete process.env.CREDENTIALS_KEY_PREVIOUS;
+});
+
+test('settings round-trip through an envelope that hides them', () => {
+    const stored = encryptSettings(settings, 'account-1');
+
+    assert.ok(isEncryptionEnabled());
+    assert.ok(JSON.parse(stored).$enc);
+    assert.ok(!stored.includes('secret-token'));
+    assert.deepEqual(decryptSettings(stored, 'account-1'), settings);
+});
+
+test('each encryption uses a fresh data key and IV', () => {
+    const first = JSON.parse(encryptSettings(settings, 'account-1')).$enc;
+    const second = JSON.parse(encryptSettings(settings, 'account-1')).$enc;
+
+    assert.notEqual(first.key.data, second.key.data);
+    assert.notEqual(first.iv, second.iv);
+    assert.notEqual(first.data, second.data);
+});
+
+test('ciphertext copied onto another account does not decrypt', () => {
+    const stored = encryptSettings(settings, 'account-1');
+
+    assert.throws(() => decryptSettings(stored, 'account-2'), /Credentials of account account-2 could not be decrypted/);
+});
+
+test('tampered ciphertext does not decrypt', () => {
+    const envelope = JSON.parse(encryptSettings(settings, 'account-1'));
+    const data = Buffer.from(envelope.$enc.data, 'base64');
+    data[0] ^= 1;
+    envelope.$enc.data = data.toString('base64');
+
+    assert.throws(() => decryptSettings(JSON.stringify(envelope), 'account-1'), /could not be decrypted/);
+});
+
+test('without CREDENTIALS_KEY settings are stored and read as plain JSON', () => {
+    delete process.env.CREDENTIALS_KEY;
+    const stored = encryptSettings(settings, 'account-1');
+
+    assert.ok(!isEncryptionEnabled());
+    assert.deepEqual(JSON.parse(stored), settings);
+    assert.deepEqual(decryptSettings(stored, 'account-1'), settings);
+});
+
+test('a malformed master key is rejected', () => {
+    process.env.CREDENTIALS_KEY = 'too-short';
+
+    assert.throws(() => isEncryptionEnabled(), /CREDENTIALS_KEY must be 32 bytes/);
+});
+
+test('rotation keeps old rows readable and re-wraps them with the new key', () => {
+    const stored = encryptSettings(settings, 'account-1');
+
+    process.env.CREDENTIALS_KEY = KEY_B;
+    process.env.CREDENTIALS_KEY_PREVIOUS = KEY_A;
+
+    assert.deepEqual(decryptSettings(stored, 'account-1'), settings);
+
+    const rotated = reencryptSettings(stored, 'account-1');
+    const before = JSON.parse(stored).$enc;
+    const after = JSON.parse(rotated).$enc;
+
+    assert.notEqual(after.kid, before.kid);
+    assert.equal(after.data, before.data);
+    assert.equal(reencryptSettings(rotated, 'account-1'), null);
+
+    // The old key can be retired once every row is re-wrapped
+    delete process.env.CREDENTIALS_KEY_PREVIOUS;
+
+    assert.deepEqual(decryptSettings(rotated, 'account-1'), settings);
+    assert.throws(() => decryptSettings(stored, 'account-1'), /not in CREDENTIALS_KEY or CREDENTIALS_KEY_PREVIOUS/);
+});
+
+test('re-encryption encrypts plain rows and needs a current key', () => {
+    const rotated = reencryptSettings(JSON.stringify(settings), 'account-1');
+
+    assert.ok(JSON.parse(rotated).$enc);
+    assert.deepEqual(decryptSettings(rotated, 'account-1'), settings);
+
+    delete process.env.CREDENTIALS_KEY;
+
+    assert.throws(() => reencryptSettings(rotated, 'account-1'), /CREDENTIALS_KEY is not set/);
+});
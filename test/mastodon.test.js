@@ -0,0 +1,53 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { postToMastodon } from '../src/services/mastodon.js';
+import { getPlatform, parsePostOptions } from '../src/services/platforms.js';
+
+const settings = {
+    mastodon_instance_url: 'mastodon.example',
+    mastodon_access_token: 'token',
+    mastodon_visibility: 'unlisted',
+};
+
+let originalAdapter;
+
+before(() => {
+    originalAdapter = axios.defaults.adapter;
+});
+
+afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+});
+
+/**
+ * Publish a text post and return the visibility sent with the status
+ */
+async function postedVisibility(userSettings, options) {
+    let body;
+    axios.defaults.adapter = async (config) => {
+        body = JSON.parse(config.data);
+        return { status: 200, statusText: 'OK', headers: {}, data: { id: '1', url: 'https://mastodon.example/@me/1' }, config };
+    };
+
+    const result = await postToMastodon([], 'Hello', 'text', userSettings, options);
+    assert.equal(result.success, true);
+    return body.visibility;
+}
+
+test('a per-post visibility overrides the account default', async () => {
+    assert.equal(await postedVisibility(settings, { visibility: 'private' }), 'private');
+});
+
+test('an empty or unknown per-post visibility falls back to the account default', async () => {
+    assert.equal(await postedVisibility(settings, { visibility: '' }), 'unlisted');
+    assert.equal(await postedVisibility(settings, { visibility: 'everyone' }), 'unlisted');
+    assert.equal(await postedVisibility({ ...settings, mastodon_visibility: '' }, {}), 'public');
+});
+
+test('the visibility post option survives parsePostOptions', () => {
+    assert.ok(getPlatform('mastodon').postOptions.some(option => option.name === 'visibility'));
+
+    const options = parsePostOptions(JSON.stringify({ acct1: { visibility: 'direct' } }), [{ id: 'acct1', platform: 'mastodon' }]);
+    assert.equal(options.acct1.visibility, 'direct');
+});
@@ -0,0 +1,155 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UPLOADS_DIR, getPublicMediaUrl, verifyMediaSignature, getVideoInfo } from '../src/utils/mediaHelper.js';
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-helper-test-'));
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    process.env.PUBLIC_URL = 'https://poster.example.com/';
+    process.env.MEDIA_URL_SECRET = 'test-media-secret';
+    delete process.env.MEDIA_URL_TTL;
+});
+
+/**
+ * Split a signed URL into what the /media route receives
+ */
+function parseSignedUrl(url) {
+    const { pathname, searchParams } = new URL(url);
+
+    return {
+        relativePath: decodeURIComponent(pathname.replace(/^\/media\//, '')),
+        expires: searchParams.get('expires'),
+        signature: searchParams.get('signature'),
+    };
+}
+
+test('signed media URLs point at the file and verify', () => {
+    const url = getPublicMediaUrl(path.join(UPLOADS_DIR, 'scheduled', 'user-1', 'my photo.jpg'));
+    const { relativePath, expires, signature } = parseSignedUrl(url);
+
+    assert.ok(url.startsWith('https://poster.example.com/media/scheduled/user-1/my%20photo.jpg?'));
+    assert.equal(relativePath, 'scheduled/user-1/my photo.jpg');
+    assert.equal(verifyMediaSignature(relativePath, expires, signature), null);
+});
+
+test('signed media URLs expire after MEDIA_URL_TTL', (t) => {
+    process.env.MEDIA_URL_TTL = '60';
+    const { relativePath, expires, signature } = parseSignedUrl(getPublicMediaUrl(path.join(UPLOADS_DIR, 'a.jpg')));
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 61 * 1000);
+
+    assert.equal(verifyMediaSignature(relativePath, expires, signature), 'Link has expired');
+});
+
+test('tampered signatures, paths and expiry times are rejected', () => {
+    const { relativePath, expires, signature } = parseSignedUrl(getPublicMediaUrl(path.join(UPLOADS_DIR, 'a.jpg')));
+    const flipped = (signature[0] === '0' ? '1' : '0') + signature.slice(1);
+
+    assert.equal(verifyMediaSignature(relativePath, expires, flipped), 'Invalid signature');
+    assert.equal(verifyMediaSignature('b.jpg', expires, signature), 'Invalid signature');
+    assert.equal(verifyMediaSignature(relativePath, String(Number(expires) + 1), signature), 'Invalid signature');
+    assert.equal(verifyMediaSignature(relativePath, expires, signature.slice(0, 10)), 'Invalid signature');
+    assert.equal(verifyMediaSignature(relativePath, undefined, signature), 'Missing or malformed signature');
+    assert.equal(verifyMediaSignature(relativePath, expires, undefined), 'Missing or malformed signature');
+});
+
+test('signatures depend on the secret', () => {
+    const { relativePath, expires, signature } = parseSignedUrl(getPublicMediaUrl(path.join(UPLOADS_DIR, 'a.jpg')));
+
+    process.env.MEDIA_URL_SECRET = 'another-secret';
+
+    assert.equal(verifyMediaSignature(relativePath, expires, signature), 'Invalid signature');
+});
+
+test('files outside the uploads directory are never signed', () => {
+    assert.throws(() => getPublicMediaUrl(path.join(UPLOADS_DIR, '..', '.env')), /outside the uploads directory/);
+});
+
+test('signing requires PUBLIC_URL', () => {
+    delete process.env.PUBLIC_URL;
+
+    assert.throws(() => getPublicMediaUrl(path.join(UPLOADS_DIR, 'a.jpg')), /PUBLIC_URL/);
+});
+
+/**
+ * An MP4 box: 32-bit size, type, payload
+ */
+function box(type, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(payload.length + 8, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+function mvhd(timescale, duration) {
+    const payload = Buffer.alloc(100);
+    payload.writeUInt32BE(timescale, 12);
+    payload.writeUInt32BE(duration, 16);
+    return box('mvhd', payload);
+}
+
+function tkhd(width, height, { rotated = false } = {}) {
+    const payload = Buffer.alloc(84);
+    payload.writeInt32BE(rotated ? 0 : 0x10000, 40);
+    payload.writeInt32BE(rotated ? 0x10000 : 0, 44);
+    payload.writeUInt32BE(width * 65536, 76);
+    payload.writeUInt32BE(height * 65536, 80);
+    return box('trak', box('tkhd', payload));
+}
+
+function writeVideo(name, ...boxes) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, Buffer.concat(boxes));
+    return filePath;
+}
+
+test('getVideoInfo reads duration and dimensions from the moov box', () => {
+    const filePath = writeVideo('landscape.mp4',
+        box('ftyp', Buffer.from('isom')),
+        box('mdat', Buffer.alloc(64)),
+        box('moov', mvhd(1000, 12500), tkhd(1920, 1080)));
+
+    assert.deepEqual(getVideoInfo(filePath), { duration: 12.5, width: 1920, height: 1080 });
+});
+
+test('getVideoInfo swaps dimensions of rotated (portrait phone) video', () => {
+    const filePath = writeVideo('portrait.mp4', box('moov', mvhd(600, 1800), tkhd(1920, 1080, { rotated: true })));
+
+    assert.deepEqual(getVideoInfo(filePath), { duration: 3, width: 1080, height: 1920 });
+});
+
+test('getVideoInfo keeps the video track over dimensionless audio tracks', () => {
+    const filePath = writeVideo('tracks.mp4', box('moov', mvhd(1, 10), tkhd(0, 0), tkhd(720, 1280), tkhd(0, 0)));
+
+    assert.deepEqual(getVideoInfo(filePath), { duration: 10, width: 720, height: 1280 });
+});
+
+test('getVideoInfo follows 64-bit box sizes', () => {
+    const mdat = Buffer.alloc(16 + 32);
+    mdat.writeUInt32BE(1, 0);
+    mdat.write('mdat', 4, 'latin1');
+    mdat.writeBigUInt64BE(BigInt(mdat.length), 8);
+
+    const filePath = writeVideo('large.mp4', mdat, box('moov', mvhd(1, 5), tkhd(640, 480)));
+
+    assert.deepEqual(getVideoInfo(filePath), { duration: 5, width: 640, height: 480 });
+});
+
+test('getVideoInfo returns null for files it cannot parse', () => {
+    assert.equal(getVideoInfo(writeVideo('no-moov.mp4', box('ftyp', Buffer.from('isom')), box('mdat', Buffer.alloc(8)))), null);
+    assert.equal(getVideoInfo(writeVideo('garbage.mp4', Buffer.from('not a video at all'))), null);
+    assert.equal(getVideoInfo(path.join(tmpDir, 'missing.mp4')), null);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkPostSupport, getPlatform, parseAccountIds } from '../src/services/platforms.js';
+import { getPostMediaType } from '../src/utils/mediaHelper.js';
+
+const MB = 1024 * 1024;
+
+// Shaped like an adapter, with every limit set
+const platform = {
+    id: 'example',
+    name: 'Example',
+    mediaTypes: ['photo', 'video', 'mixed', 'text'],
+    limits: {
+        maxPhotos: 4,
+        maxVideos: 1,
+        maxPhotoSize: 5 * MB,
+        maxVideoSize: 50 * MB,
+        maxCaptionLength: 20,
+        maxTextLength: 30,
+    },
+};
+
+const photo = (size = MB, name = 'photo.jpg') => ({ originalname: name, mimetype: 'image/jpeg', size });
+const video = (size = 10 * MB, name = 'clip.mp4') => ({ originalname: name, mimetype: 'video/mp4', size });
+
+/**
+ * Check a post the way the uploader does, deriving the media type from the files
+ */
+function check(target, files = [], caption = '', options = {}) {
+    return checkPostSupport(target, { files, caption, mediaType: getPostMediaType(files), options });
+}
+
+test('a post exactly at every limit is accepted', () => {
+    const atLimit = [photo(5 * MB), photo(), photo(), photo()];
+
+    assert.equal(check(platform, atLimit, 'a'.repeat(20)), null);
+    assert.equal(check(platform, [video(50 * MB)], 'a'.repeat(20)), null);
+    assert.equal(check(platform, [], 'a'.repeat(30)), null);
+    assert.equal(check(platform, [photo(), photo(), photo(), video()]), null);
+});
+
+test('unsupported post types are rejected', () => {
+    const photosOnly = { ...platform, mediaTypes: ['photo'] };
+
+    assert.equal(check(photosOnly, [], 'hello'), 'Example does not support text-only posts (add a photo or video)');
+    assert.equal(check(photosOnly, [photo(), video()]), 'Example cannot mix photos and videos in one post');
+    assert.equal(check(photosOnly, [video()]), 'Example does not support video posts');
+});
+
+test('too many photos or videos are rejected', () => {
+    assert.equal(check(platform, [photo(), photo(), photo(), photo(), photo()]), 'Example allows at most 4 photos per post');
+    assert.equal(check(platform, [video(), video()]), 'Example allows at most 1 video(s) per post');
+});
+
+test('mixed albums are capped at maxPhotos items in total', () => {
+    assert.equal(check(platform, [photo(), photo(), photo(), photo(), video()]), 'Example allows at most 4 items per album');
+});
+
+test('files over the size limits are rejected by name', () => {
+    assert.equal(check(platform, [photo(), photo(5 * MB + 1, 'huge.jpg')]), 'Example limits photos to 5MB (huge.jpg is too large)');
+    assert.equal(check(platform, [video(50 * MB + 1, 'long.mp4')]), 'Example limits videos to 50MB (long.mp4 is too large)');
+});
+
+test('captions over the limit are rejected, with a separate limit for text-only posts', () => {
+    assert.equal(check(platform, [photo()], 'a'.repeat(21)), 'Example captions are limited to 20 characters');
+    assert.equal(check(platform, [], 'a'.repeat(25)), null);
+    assert.equal(check(platform, [], 'a'.repeat(31)), 'Example captions are limited to 30 characters');
+});
+
+test('grapheme limits count emoji as one character', () => {
+    const graphemes = { ...platform, limits: { maxCaptionGraphemes: 3 } };
+
+    assert.equal(check(graphemes, [], '👨‍👩‍👧👍🏽é'), null);
+    assert.equal(check(graphemes, [], 'abcd'), 'Example posts are limited to 3 characters');
+});
+
+test("the adapter's checkPost runs last and gets the post and its options", () => {
+    const calls = [];
+    const withCheck = {
+        ...platform,
+        checkPost: (post) => {
+            calls.push(post);
+            return post.options.reject ? 'Rejected by the adapter' : null;
+        },
+    };
+    const files = [photo()];
+
+    assert.equal(check(withCheck, files, 'hi', { reject: true }), 'Rejected by the adapter');
+    assert.equal(check(withCheck, files, 'hi'), null);
+    assert.deepEqual(calls[0], { files, caption: 'hi', mediaType: 'photo', options: { reject: true } });
+
+    // Limits are checked first
+    assert.equal(check(withCheck, [video(), video()], 'hi', { reject: true }), 'Example allows at most 1 video(s) per post');
+    assert.equal(calls.length, 2);
+});
+
+test('Facebook rejects albums containing videos before anything is uploaded', () => {
+    const facebook = getPlatform('facebook');
+    const albumError = /Facebook albums can only contain photos/;
+
+    assert.match(check(facebook, [photo(), photo(), video()]), albumError);
+    assert.match(check(facebook, [photo(), video()]), albumError);
+    assert.match(check(facebook, [photo(), photo(), video()], '', { video_thumbnail: true }), albumError);
+    assert.equal(check(facebook, [photo(), video()], '', { video_thumbnail: true }), null);
+    assert.equal(check(facebook, [photo(), photo(), photo()]), null);
+    assert.equal(check(facebook, [video()]), null);
+});
+
+test('parseAccountIds accepts arrays, JSON and comma-separated lists', () => {
+    assert.deepEqual(parseAccountIds(['a', 'b', 'a']), ['a', 'b']);
+    assert.deepEqual(parseAccountIds('["a","b"]'), ['a', 'b']);
+    assert.deepEqual(parseAccountIds('a, b,,c'), ['a', 'b', 'c']);
+    assert.deepEqual(parseAccountIds('notjson'), ['notjson']);
+});
+
+test('parseAccountIds returns no ids for missing or malformed input', () => {
+    assert.deepEqual(parseAccountIds(undefined), []);
+    assert.deepEqual(parseAccountIds(''), []);
+    assert.deepEqual(parseAccountIds('{"id":"a"}'), []);
+    assert.deepEqual(parseAccountIds('[null, {}, " "]'), []);
+});
+
+test('TikTok photo posts only accept JPEG and WebP, with a cover among the photos', () => {
+    const tiktok = getPlatform('tiktok');
+    const png = { originalname: 'shot.png', mimetype: 'image/png', size: 1000 };
+    const webp = { originalname: 'shot.webp', mimetype: 'image/webp', size: 1000 };
+
+    assert.equal(check(tiktok, [photo(), png]), 'TikTok photo posts accept JPEG or WebP images only (shot.png is image/png)');
+    assert.equal(check(tiktok, [photo(), webp]), null);
+    assert.equal(check(tiktok, [photo(), webp], '', { photo_cover: '2' }), null);
+    assert.equal(check(tiktok, [photo(), webp], '', { photo_cover: '3' }), 'TikTok cover image must be a number from 1 to 2');
+    assert.equal(check(tiktok, [video()]), null);
+});
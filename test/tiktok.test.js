@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planChunks } from '../src/services/tiktok.js';
+
+const MB = 1024 * 1024;
+
+// TikTok's rules: chunks of 5-64MB, a final chunk of up to 128MB holding the
+// trailing bytes, total_chunk_count = floor(size / chunk_size), at most 1000 chunks
+function assertValidPlan(fileSize, { chunkSize, totalChunkCount }) {
+    const lastChunk = fileSize - chunkSize * (totalChunkCount - 1);
+
+    assert.equal(totalChunkCount, Math.floor(fileSize / chunkSize));
+    assert.ok(totalChunkCount >= 1 && totalChunkCount <= 1000);
+    assert.ok(chunkSize >= 5 * MB && chunkSize <= 64 * MB, `chunk size ${chunkSize}`);
+    assert.ok(lastChunk >= chunkSize && lastChunk <= 128 * MB, `last chunk ${lastChunk}`);
+}
+
+test('videos under 5MB are uploaded whole', () => {
+    assert.deepEqual(planChunks(1), { chunkSize: 1, totalChunkCount: 1 });
+    assert.deepEqual(planChunks(5 * MB - 1), { chunkSize: 5 * MB - 1, totalChunkCount: 1 });
+});
+
+test('videos between 5MB and 10MB go up as a single chunk', () => {
+    assert.deepEqual(planChunks(5 * MB), { chunkSize: 5 * MB, totalChunkCount: 1 });
+    assert.deepEqual(planChunks(10 * MB - 1), { chunkSize: 10 * MB - 1, totalChunkCount: 1 });
+});
+
+test('larger videos use 10MB chunks with the remainder in the last one', () => {
+    assert.deepEqual(planChunks(10 * MB), { chunkSize: 10 * MB, totalChunkCount: 1 });
+    assert.deepEqual(planChunks(25 * MB), { chunkSize: 10 * MB, totalChunkCount: 2 });
+    assert.deepEqual(planChunks(100 * MB), { chunkSize: 10 * MB, totalChunkCount: 10 });
+});
+
+test('every plan follows TikTok chunk rules', () => {
+    const sizes = [5 * MB, 10 * MB + 1, 19 * MB + 12345, 64 * MB, 100 * MB + 7, 1024 * MB, 4096 * MB - 1];
+
+    sizes.forEach(size => assertValidPlan(size, planChunks(size)));
+});
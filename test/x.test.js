@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { buildAuthHeader, countWeightedLength } from '../src/services/x.js';
+
+/**
+ * Header parameters as a plain object (values still percent-encoded)
+ */
+function parseAuthHeader(header) {
+    assert.ok(header.startsWith('OAuth '));
+    return Object.fromEntries(header.slice(6).split(', ').map(part => {
+        const [, key, value] = /^([^=]+)="(.*)"$/.exec(part);
+        return [key, value];
+    }));
+}
+
+function mockNonceAndClock(t, nonce, timestamp) {
+    t.mock.method(crypto, 'randomBytes', () => ({ toString: () => nonce }));
+    t.mock.method(Date, 'now', () => timestamp * 1000);
+}
+
+test('buildAuthHeader matches the reference OAuth 1.0a signature', (t) => {
+    // Worked example from X's "Creating a signature" documentation
+    mockNonceAndClock(t, 'kYjzVBB8Y0ZFabxSWbWovY3uYSQ2pTgmZeNu2VS4cg', 1318622958);
+
+    const header = buildAuthHeader('post', 'https://api.twitter.com/1.1/statuses/update.json', {
+        include_entities: true,
+        status: 'Hello Ladies + Gentlemen, a signed OAuth request!',
+    }, {
+        apiKey: 'xvz1evFS4wEEPTGEFPHBog',
+        apiSecret: 'kAcSOqF21Fu85e7zjz7ZN2U4ZRhfV3WpwPAoE3Z7kBw',
+        accessToken: '370773112-GmHxMAgYyLbNEtIKZeRNFsMKPR9EyMZeS9weJAEb',
+        accessTokenSecret: 'LswwdoUaIvS8ltyTt5jkRh4J50vUPVVHtR2YPi5kE',
+    });
+
+    assert.deepEqual(parseAuthHeader(header), {
+        oauth_consumer_key: 'xvz1evFS4wEEPTGEFPHBog',
+        oauth_nonce: 'kYjzVBB8Y0ZFabxSWbWovY3uYSQ2pTgmZeNu2VS4cg',
+        oauth_signature: 'hCtSmYh%2BiHYCEqBWrE7C7hYmtUk%3D',
+        oauth_signature_method: 'HMAC-SHA1',
+        oauth_timestamp: '1318622958',
+        oauth_token: '370773112-GmHxMAgYyLbNEtIKZeRNFsMKPR9EyMZeS9weJAEb',
+        oauth_version: '1.0',
+    });
+});
+
+test('buildAuthHeader percent-encodes reserved characters before sorting', (t) => {
+    mockNonceAndClock(t, 'nonce', 1700000000);
+    const config = { apiKey: 'key', apiSecret: 's&cret', accessToken: 'token', accessTokenSecret: 't!secret' };
+
+    const header = buildAuthHeader('GET', 'https://api.x.com/2/media/upload', { media_id: '7', command: "STATUS!*'()" }, config);
+
+    // encodeURIComponent leaves !*'() alone; RFC 3986 (and OAuth) does not
+    const baseString = 'GET&https%3A%2F%2Fapi.x.com%2F2%2Fmedia%2Fupload&'
+        + 'command%3DSTATUS%2521%252A%2527%2528%2529'
+        + '%26media_id%3D7%26oauth_consumer_key%3Dkey%26oauth_nonce%3Dnonce'
+        + '%26oauth_signature_method%3DHMAC-SHA1%26oauth_timestamp%3D1700000000'
+        + '%26oauth_token%3Dtoken%26oauth_version%3D1.0';
+    const expected = crypto.createHmac('sha1', 's%26cret&t%21secret').update(baseString).digest('base64');
+
+    assert.equal(decodeURIComponent(parseAuthHeader(header).oauth_signature), expected);
+});
+
+test('countWeightedLength counts links as 23 characters', () => {
+    assert.equal(countWeightedLength('https://example.com'), 23);
+    assert.equal(countWeightedLength(`read ${'https://example.com/' + 'a'.repeat(100)}`), 5 + 23);
+    assert.equal(countWeightedLength('www.example.com/x and http://a.io'), 23 + 5 + 23);
+});
+
+test('countWeightedLength counts CJK characters and emoji as 2', () => {
+    assert.equal(countWeightedLength('hello'), 5);
+    assert.equal(countWeightedLength('café — “quoted”'), 15);
+    assert.equal(countWeightedLength('日本語'), 6);
+    assert.equal(countWeightedLength('👍'), 2);
+    assert.equal(countWeightedLength('👨‍👩‍👧‍👦'), 2);
+    assert.equal(countWeightedLength('🇯🇵'), 2);
+    assert.equal(countWeightedLength('❤️'), 2);
+    assert.equal(countWeightedLength(''), 0);
+});
+
+test('a post is checked by weighted length, not string length', async () => {
+    const { adapter } = await import('../src/services/x.js');
+    const check = caption => adapter.checkPost({ files: [], caption, mediaType: 'text', options: {} });
+
+    // 140 CJK characters are exactly 280; one more is over
+    assert.equal(check('字'.repeat(140)), null);
+    assert.match(check('字'.repeat(141)), /limited to 280/);
+
+    // A long link only costs 23, so this 400-character post fits
+    assert.equal(check(`${'a'.repeat(250)} https://example.com/${'p'.repeat(130)}`), null);
+});
@@ -0,0 +1,165 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { finished } from 'stream/promises';
+import axios, { AxiosError } from 'axios';
+import { postToYouTube } from '../src/services/youtube.js';
+
+const SESSION_URL = 'https://upload.example.com/session-1';
+const FILE_SIZE = 1000;
+
+const settings = {
+    youtube_client_id: 'client',
+    youtube_client_secret: 'secret',
+    youtube_refresh_token: 'refresh',
+    youtube_access_token: 'access',
+    youtube_token_expires_at: String(Date.now() + 60 * 60 * 1000),
+};
+
+let tmpDir;
+let file;
+let requests;
+let originalAdapter;
+
+/**
+ * Answer axios requests from a list of scripted responses, in order:
+ * { status, headers, data } or { networkError: true }
+ */
+function scriptResponses(responses) {
+    axios.defaults.adapter = async (config) => {
+        if (typeof config.data?.pipe === 'function') {
+            await finished(config.data.resume());
+        }
+        requests.push({ method: config.method, url: config.url, headers: { ...config.headers } });
+
+        // The session is created with a POST; only the PUTs are scripted
+        if (config.method === 'post') {
+            return { status: 200, statusText: 'OK', headers: { location: SESSION_URL }, data: {}, config };
+        }
+
+        const next = responses.shift();
+        if (!next || next.networkError) {
+            throw new AxiosError('socket hang up', 'ECONNRESET', config);
+        }
+
+        const response = { statusText: '', headers: {}, data: {}, ...next, config };
+        if (!config.validateStatus(response.status)) {
+            throw new AxiosError(`Request failed with status code ${response.status}`, 'ERR_BAD_RESPONSE', config, null, response);
+        }
+        return response;
+    };
+}
+
+const puts = () => requests.filter(request => request.method === 'put');
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-test-'));
+    file = { path: path.join(tmpDir, 'clip.mp4'), originalname: 'clip.mp4', mimetype: 'video/mp4' };
+    fs.writeFileSync(file.path, Buffer.alloc(FILE_SIZE));
+    originalAdapter = axios.defaults.adapter;
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+    requests = [];
+    // Skip the back-off between attempts
+    t.mock.method(globalThis, 'setTimeout', (callback) => setImmediate(callback));
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    axios.defaults.adapter = originalAdapter;
+});
+
+test('an interrupted upload resumes after the last byte YouTube received', async () => {
+    scriptResponses([
+        { networkError: true },
+        { status: 308, headers: { range: 'bytes=0-399' } },
+        { status: 200, data: { id: 'video-1' } },
+    ]);
+
+    const result = await postToYouTube([file], 'Clip', 'video', settings);
+
+    assert.equal(result.success, true);
+    assert.equal(result.postId, 'video-1');
+
+    const [upload, status, resume] = puts();
+    assert.equal(Number(upload.headers['Content-Length']), FILE_SIZE);
+    assert.equal(upload.headers['Content-Range'], undefined);
+    assert.equal(status.headers['Content-Range'], `bytes */${FILE_SIZE}`);
+    assert.equal(resume.headers['Content-Range'], `bytes 400-999/${FILE_SIZE}`);
+    assert.equal(Number(resume.headers['Content-Length']), 600);
+});
+
+test('a failed status query counts as an attempt instead of ending the upload', async () => {
+    scriptResponses([
+        { status: 503 },
+        { networkError: true },
+        { status: 308 },
+        { status: 200, data: { id: 'video-2' } },
+    ]);
+
+    const result = await postToYouTube([file], 'Clip', 'video', settings);
+
+    assert.equal(result.success, true);
+    assert.equal(result.postId, 'video-2');
+
+    // No Range header: nothing arrived, so the whole file is sent again
+    const resume = puts().at(-1);
+    assert.equal(resume.headers['Content-Range'], undefined);
+    assert.equal(Number(resume.headers['Content-Length']), FILE_SIZE);
+});
+
+test('an upload that completed despite the error is not sent again', async () => {
+    scriptResponses([
+        { networkError: true },
+        { status: 201, data: { id: 'video-3' } },
+    ]);
+
+    const result = await postToYouTube([file], 'Clip', 'video', settings);
+
+    assert.equal(result.postId, 'video-3');
+    assert.equal(puts().length, 2);
+});
+
+test('client errors are not retried', async () => {
+    scriptResponses([
+        { status: 401, data: { error: { message: 'Invalid Credentials' } } },
+    ]);
+
+    const result = await postToYouTube([file], 'Clip', 'video', settings);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Invalid Credentials');
+    assert.equal(puts().length, 1);
+});
+
+test('the upload gives up after five attempts', async () => {
+    scriptResponses(Array.from({ length: 10 }, () => ({ networkError: true })));
+
+    const result = await postToYouTube([file], 'Clip', 'video', settings);
+
+    assert.equal(result.success, false);
+    assert.equal(puts().length, 5);
+});
+
+test('uploads are private unless the account chose otherwise', async () => {
+    const metadata = [];
+    scriptResponses([{ status: 200, data: { id: 'video-4' } }, { status: 200, data: { id: 'video-5' } }]);
+    const adapter = axios.defaults.adapter;
+    axios.defaults.adapter = async (config) => {
+        if (config.method === 'post') metadata.push(JSON.parse(config.data));
+        return adapter(config);
+    };
+
+    await postToYouTube([file], 'Clip', 'video', settings);
+    await postToYouTube([file], 'Clip', 'video', { ...settings, youtube_privacy_status: 'unlisted' });
+
+    assert.deepEqual(metadata.map(entry => entry.status.privacyStatus), ['private', 'unlisted']);
+});